@@ -14,6 +14,8 @@ import { initOptionFields, attachOptionFieldsListeners } from '../shared/fields.
 import { loadURLsFromRobots } from '../shared/sitemap.js';
 import alert from '../shared/alert.js';
 import { toggleLoadingButton } from '../shared/ui.js';
+import scheduler from '../shared/scheduler.js';
+import { createFrameURL, getRequestHeaders } from '../shared/credentials.js';
 
 const PARENT_SELECTOR = '.crawl';
 const CONFIG_PARENT_SELECTOR = `${PARENT_SELECTOR} form`;
@@ -143,6 +145,13 @@ const pathnameMatchesFilter = (path, filter) => {
   }
 };
 
+const configureScheduler = () => {
+  scheduler.configure({
+    minDelay: config.fields['crawl-throttle-delay'],
+    maxPerMinute: config.fields['crawl-throttle-rpm'],
+  });
+};
+
 const getContentFrame = () => document.querySelector(`${PARENT_SELECTOR} iframe`);
 
 const attachListeners = () => {
@@ -165,9 +174,12 @@ const attachListeners = () => {
     crawlStatus.rows = [];
     crawlStatus.urls = [];
     crawlStatus.hasExtra = true;
+    crawlStatus.headers = getRequestHeaders();
 
     const urlsArray = [URLS_INPUT.value];
-    const processNext = () => {
+    configureScheduler();
+
+    const processNext = async () => {
       if (urlsArray.length > 0) {
         const url = urlsArray.pop();
 
@@ -250,7 +262,7 @@ const attachListeners = () => {
               }
             } catch (error) {
               // try to detect redirects
-              const res = await fetch(replacedURL);
+              const res = await scheduler.fetch(replacedURL, { headers: crawlStatus.headers });
               if (res.ok) {
                 if (res.redirected) {
                   // eslint-disable-next-line no-console
@@ -290,7 +302,20 @@ const attachListeners = () => {
         console.log(`Loading frame with page ${url}`);
         frame.dataset.originalURL = url;
         frame.dataset.replacedURL = src;
-        frame.src = src;
+        if (Object.keys(crawlStatus.headers).length > 0) {
+          // the frame would load the page without the credentials: use the authenticated response
+          try {
+            const res = await scheduler.fetch(src, { headers: crawlStatus.headers });
+            frame.src = createFrameURL(await res.text(), src);
+          } catch (e) {
+            // eslint-disable-next-line no-console
+            console.error(`Cannot fetch ${src}`, e);
+            frame.src = src;
+          }
+        } else {
+          await scheduler.schedule(src);
+          frame.src = src;
+        }
 
         const current = getContentFrame();
         current.removeEventListener('load', onLoad);
@@ -367,11 +392,14 @@ const attachListeners = () => {
     crawlStatus.urls = [];
     crawlStatus.hasExtra = false;
 
+    configureScheduler();
+
     // eslint-disable-next-line no-alert
     try {
       crawlStatus.urls = (await loadURLsFromRobots(config.origin, URLS_INPUT.value, {
         log: alert.success,
         sitemap: config.fields['crawl-sitemap-file'],
+        headers: getRequestHeaders(),
       })).filter((url) => {
         const u = new URL(url);
         return pathnameMatchesFilter(u.pathname, config.fields['crawl-filter-pathname']);
@@ -10,10 +10,38 @@
  * governing permissions and limitations under the License.
  */
 /* global CodeMirror, html_beautify, ExcelJS, WebImporter */
-import { initOptionFields, attachOptionFieldsListeners } from '../shared/fields.js';
-import { getDirectoryHandle, saveFile } from '../shared/filesystem.js';
-import { asyncForEach } from '../shared/utils.js';
+import { initOptionFields, attachOptionFieldsListeners, setOptionFields } from '../shared/fields.js';
+import {
+  getDirectoryHandle,
+  isFileSystemAccessSupported,
+  readFile,
+  saveFile,
+} from '../shared/filesystem.js';
+import ZipArchive from '../shared/zip.js';
+import { asyncForEach, sleep } from '../shared/utils.js';
+import { waitForPageLoad } from '../shared/pageload.js';
+import { createFrameURL, getRequestHeaders, parseCustomHeaders } from '../shared/credentials.js';
+import { parseRoutes } from '../shared/routes.js';
+import {
+  diffLines,
+  getHunks,
+  normalizeText,
+  toSideBySide,
+} from '../shared/diff.js';
+import { getItem, setItem, removeItem } from '../shared/storage.js';
+import ImportState from '../shared/importstate.js';
+import { fetchWithRetry, parseStatuses } from '../shared/retry.js';
+import {
+  findURLColumn,
+  parseCSV,
+  readTable,
+  toTable,
+} from '../shared/spreadsheet.js';
+import scheduler from '../shared/scheduler.js';
+import ImportProgress, { formatDuration, getStatusCategory } from '../shared/progress.js';
 import PollImporter from '../shared/pollimporter.js';
+import { formatFrame } from '../shared/stacktrace.js';
+import { createPageLogger, formatLog } from '../shared/pagelogger.js';
 import alert from '../shared/alert.js';
 import { toggleLoadingButton } from '../shared/ui.js';
 
@@ -23,7 +51,27 @@ const CONFIG_PARENT_SELECTOR = `${PARENT_SELECTOR} form`;
 const PREVIEW_CONTAINER = document.querySelector(`${PARENT_SELECTOR} .page-preview`);
 
 const IMPORTFILEURL_FIELD = document.getElementById('import-file-url');
+const SAVE_AS_ZIP_FIELD = document.getElementById('import-save-as-zip');
+const CUSTOM_HEADERS_FIELD = document.getElementById('import-custom-headers');
+const ROUTES_FIELD = document.getElementById('import-routes');
+const LOCAL_FOLDER_BUTTON = document.getElementById('import-local-folder-button');
+const LOCAL_FOLDER_STOP_BUTTON = document.getElementById('import-local-folder-stop-button');
+const IMPORT_FILE_VERSION = document.getElementById('import-file-version');
+const ROUTES_FILE_INPUT = document.getElementById('import-routes-file');
+const ROUTES_FILE_BUTTON = document.getElementById('import-routes-file-button');
+const URL_FIELD = document.getElementById('import-url');
+const URLS_FIELD = document.getElementById('import-urls');
+const URLS_FILE_INPUT = document.getElementById('import-urls-file');
+const URLS_FILE_BUTTON = document.getElementById('import-urls-file-button');
+const URLS_FILE_CLEAR_BUTTON = document.getElementById('import-urls-file-clear-button');
+const URLS_FILE_INFO = document.getElementById('import-urls-file-info');
+const URLS_COLUMN_PICKER = document.getElementById('import-urls-column');
 const IMPORT_BUTTON = document.getElementById('import-doimport-button');
+const PAUSE_BUTTON = document.getElementById('import-pause-button');
+const RESUME_BUTTON = document.getElementById('import-resume-button');
+const CANCEL_BUTTON = document.getElementById('import-cancel-button');
+const RESUME_RUN_BUTTON = document.getElementById('import-resume-run-button');
+const RESUME_RUN_INFO = document.getElementById('import-resume-run-info');
 
 // const SAVEASWORD_BUTTON = document.getElementById('saveAsWord');
 const FOLDERNAME_SPAN = document.getElementById('folder-name');
@@ -32,25 +80,93 @@ const TRANSFORMED_HTML_TEXTAREA = document.getElementById('import-transformed-ht
 const MD_SOURCE_TEXTAREA = document.getElementById('import-markdown-source');
 const MD_PREVIEW_PANEL = document.getElementById('import-markdown-preview');
 
+const LOG_TAB = document.querySelector(`${PARENT_SELECTOR} sp-tab[value="import-log"]`);
+const LOG_PANEL = document.getElementById('import-log');
+
+const ERROR_PANEL = document.getElementById('import-error');
+const ERROR_MESSAGE = document.getElementById('import-error-message');
+const ERROR_URL = document.getElementById('import-error-url');
+const ERROR_PARAMS = document.getElementById('import-error-params');
+const ERROR_STACK = document.getElementById('import-error-stack');
+const ERROR_SOURCE_TITLE = document.getElementById('import-error-source-title');
+const ERROR_SOURCE_TEXTAREA = document.getElementById('import-error-source');
+const ERROR_CLOSE_BUTTON = document.getElementById('import-error-close-button');
+
 const SPTABS = document.querySelector(`${PARENT_SELECTOR} sp-tabs`);
 
 const DOWNLOAD_IMPORT_REPORT_BUTTON = document.getElementById('import-downloadImportReport');
+const RETRY_FAILED_BUTTON = document.getElementById('import-retry-failed-button');
 
 const IS_BULK = document.querySelector('.import-bulk') !== null;
 const BULK_URLS_HEADING = document.querySelector('#import-result h2');
-const BULK_URLS_LIST = document.querySelector('#import-result ul');
+const BULK_RESULTS_TABLE = document.querySelector('#import-result .import-result-table');
+const BULK_RESULTS_BODY = document.querySelector('#import-result tbody');
+const BULK_RESULTS_FILTERS = document.querySelector('#import-result .import-result-filters');
+const STATUS_FILTER = document.getElementById('import-result-status-filter');
+const SEARCH_FIELD = document.getElementById('import-result-search');
+const PROGRESS_CONTAINER = document.getElementById('import-progress');
+const PROGRESS_BAR = document.getElementById('import-progress-bar');
+const PROGRESS_STATS = document.getElementById('import-progress-stats');
+const COMPARE_PANEL = document.getElementById('import-compare-panel');
+const COMPARE_TITLE = document.querySelector('#import-compare-panel h3');
+const COMPARE_BODY = document.querySelector('#import-compare-panel tbody');
+const COMPARE_CLOSE_BUTTON = document.getElementById('import-compare-close-button');
+const COMPARE_FIELD = document.getElementById('import-compare');
 
 const IMPORT_FILE_PICKER_CONTAINER = document.getElementById('import-file-picker-container');
 
+const CONTENT_FRAME_ID = 'import-content-frame';
+
 const REPORT_FILENAME = 'import-report.xlsx';
+const COMPARE_REPORT_FILENAME = 'compare-report.xlsx';
+
+const RESULT_ICONS = {
+  success: 'sp-icon-checkmark-circle',
+  redirect: 'sp-icon-alias',
+  error: 'sp-icon-alert',
+  skipped: 'sp-icon-info',
+};
+// when a page has several report rows, the most severe status is displayed
+const RESULT_SEVERITY = ['pending', 'success', 'redirect', 'skipped', 'error'];
+const REPORT_COLUMNS = ['URL', 'path', 'file', 'status', 'redirect', 'attempts'];
+
+const SAVE_FORMATS = ['docx', 'html', 'md'];
+// report columns added when at least one row has a value: header => row property
+const OPTIONAL_COLUMNS = {
+  'import file': 'importFile',
+  'content type': 'contentType',
+  size: 'size',
+  comparison: 'comparison',
+  'error details': 'errorDetails',
+  log: 'log',
+};
+// stack frames kept in the error details of the import report
+const MAX_STACK_FRAMES = 10;
+// maximum length of the log of a page in the import report (Excel cells are limited to 32767)
+const MAX_LOG_LENGTH = 32000;
+// display order of the comparison of a page with several files: the most relevant first
+const COMPARISON_PRIORITY = ['changed', 'new', 'unchanged'];
+
+// header only found in the crawl reports produced by the Crawl tool
+const CRAWL_REPORT_HEADER = 'Nb links on page';
+// crawl information of the crawl reports (see crawl.ui.js), not passed to the import.js
+const CRAWL_REPORT_COLUMNS = ['status', 'redirect', CRAWL_REPORT_HEADER, 'Nb links already processed',
+  'Nb links on external host', 'Nb links to follow', 'Links to follow', 'Nb links excluded', 'Links excluded'];
+
+const IMPORT_RUN_KEY = 'import-bulk-run';
+const PERSIST_DELAY = 1000;
 
 const ui = {};
 const config = {};
 const importStatus = {};
+const importState = new ImportState(IMPORT_RUN_KEY);
 
 let isSaveLocal = false;
 let dirHandle = null;
 
+// compare mode: the new Markdown is compared with the files of the selected folder, not saved
+const isCompareMode = () => IS_BULK && !!config.fields['import-compare'];
+
 const setupUI = () => {
   ui.transformedEditor = CodeMirror.fromTextArea(TRANSFORMED_HTML_TEXTAREA, {
     lineNumbers: true,
@@ -66,6 +182,14 @@ const setupUI = () => {
   });
   ui.markdownEditor.setSize('100%', '100%');
 
+  ui.errorEditor = CodeMirror.fromTextArea(ERROR_SOURCE_TEXTAREA, {
+    lineNumbers: true,
+    mode: 'javascript',
+    theme: 'base16-dark',
+    readOnly: true,
+  });
+  ui.errorEditor.setSize('100%', '100%');
+
   ui.markdownPreview = MD_PREVIEW_PANEL;
   // XSS review: we need interpreted HTML here - <script> tags are removed by importer anyway
   ui.markdownPreview.innerHTML = WebImporter.md2html('Run an import to see some markdown.');
@@ -98,8 +222,189 @@ const loadResult = ({ md, html: outputHTML }) => {
   }
 };
 
-const updateImporterUI = (results, originalURL) => {
+const updateProgressUI = () => {
+  const { progress } = importStatus;
+  if (!progress) return;
+
+  const {
+    percent, pagesPerMinute, eta, elapsed, counters,
+  } = progress.getStats();
+  let etaStr = eta === null ? 'unknown' : formatDuration(eta);
+  if (importStatus.paused) {
+    etaStr = 'paused';
+  }
+
+  BULK_URLS_HEADING.innerText = `Imported URLs (${importStatus.imported} / ${importStatus.total}) - Elapsed time: ${formatDuration(elapsed)}`;
+  PROGRESS_BAR.value = percent;
+  PROGRESS_STATS.innerText = `${Math.floor(percent)}% - ${pagesPerMinute.toFixed(1)} pages/min - ETA: ${etaStr} - `
+    + `${counters.success} success, ${counters.redirect} redirect(s), ${counters.skipped} skipped, ${counters.error} error(s)`;
+  if (isCompareMode()) {
+    const { compared } = importStatus;
+    PROGRESS_STATS.innerText += ` - compared: ${compared.changed} changed, ${compared.unchanged} unchanged, ${compared.new} new`;
+  }
+};
+
+const getResultRow = (index) => importStatus.resultRows.get(index);
+
+/**
+ * Returns the report rows of a page.
+ * @param {number} index The position of the URL in the input list.
+ * @returns {Array<Object>} The report rows, empty if the page has not been imported yet.
+ */
+const getPageRows = (index) => importStatus.rowsByIndex.get(index) || [];
+
+const indexReportRow = (row) => {
+  const rows = importStatus.rowsByIndex.get(row.index);
+  if (rows) {
+    rows.push(row);
+  } else {
+    importStatus.rowsByIndex.set(row.index, [row]);
+  }
+  if (row.comparison in importStatus.compared) {
+    importStatus.compared[row.comparison] += 1;
+  }
+};
+
+/**
+ * Indexes the report rows by page and counts the compared pages, to be called
+ * when `importStatus.rows` is replaced.
+ */
+const indexReportRows = () => {
+  importStatus.rowsByIndex = new Map();
+  importStatus.compared = { changed: 0, unchanged: 0, new: 0 };
+  importStatus.rows.forEach(indexReportRow);
+};
+
+const applyResultFilters = (rows = [...BULK_RESULTS_BODY.children]) => {
+  const status = STATUS_FILTER.value || 'all';
+  const search = (SEARCH_FIELD.value || '').trim().toLowerCase();
+  rows.forEach((tr) => {
+    tr.hidden = (status !== 'all' && tr.dataset.status !== status && tr.dataset.comparison !== status)
+      || (search !== '' && !tr.dataset.url.toLowerCase().includes(search));
+  });
+};
+
+/**
+ * Displays the result of a page in the bulk results table, from its rows in the report.
+ * The table row is created if needed, or updated in place when the page is imported again.
+ * @param {string} url The page URL.
+ * @param {number} index The position of the URL in the input list.
+ * @returns {HTMLElement} The table row.
+ */
+const renderResultRow = (url, index) => {
+  let tr = getResultRow(index);
+  if (!tr) {
+    tr = document.createElement('tr');
+    tr.dataset.index = index;
+    tr.dataset.url = url;
+    tr.innerHTML = `<td>${index + 1}</td>
+      <td class="url"><sp-link size="s" target="_blank"></sp-link></td>
+      <td class="status"></td>
+      <td class="actions">
+        <sp-action-button size="s" quiet data-action="workbench">Open in workbench</sp-action-button>
+        <sp-action-button size="s" quiet data-action="rerun">Re-run</sp-action-button>
+        <sp-action-button size="s" quiet data-action="diff" class="hidden">Show diff</sp-action-button>
+      </td>`;
+    const link = tr.querySelector('sp-link');
+    link.setAttribute('href', url);
+    link.textContent = url;
+
+    // pages may complete out of order when importing concurrently: keep the input order,
+    // looking for the previous row from the end as it is usually one of the last ones
+    let previous = BULK_RESULTS_BODY.lastElementChild;
+    while (previous && Number(previous.dataset.index) > index) {
+      previous = previous.previousElementSibling;
+    }
+    if (previous) {
+      previous.after(tr);
+    } else {
+      BULK_RESULTS_BODY.prepend(tr);
+    }
+    importStatus.resultRows.set(index, tr);
+  }
+
+  const rows = getPageRows(index);
+  const status = rows
+    .map((row) => getStatusCategory(row.status))
+    .reduce((a, b) => (RESULT_SEVERITY.indexOf(b) > RESULT_SEVERITY.indexOf(a) ? b : a), 'pending');
+  const messages = rows.map((row) => {
+    if (row.redirect) return `${row.status} to ${row.redirect}`;
+    return row.comparison ? `${row.status} - ${row.comparison}` : row.status;
+  });
+  const comparison = COMPARISON_PRIORITY.find((c) => rows.some((row) => row.comparison === c));
+
+  tr.dataset.status = status;
+  if (comparison) {
+    tr.dataset.comparison = comparison;
+  } else {
+    delete tr.dataset.comparison;
+  }
+  const cell = tr.querySelector('.status');
+  cell.textContent = [...new Set(messages)].join(' / ') || 'Queued';
+  cell.title = rows.map((row) => row.errorDetails).filter((details) => details).join('\n\n');
+  if (RESULT_ICONS[status]) {
+    const icon = document.createElement(RESULT_ICONS[status]);
+    icon.setAttribute('label', status);
+    cell.prepend(icon);
+  }
+  tr.querySelectorAll('sp-action-button').forEach((button) => {
+    button.disabled = status === 'pending';
+  });
+  tr.querySelector('[data-action="diff"]').classList.toggle(
+    'hidden',
+    !rows.some((row) => importStatus.comparisons[`${index}:${row.path}`] !== undefined),
+  );
+
+  applyResultFilters([tr]);
+  return tr;
+};
+
+/**
+ * Reports the messages logged by the import.js for a page (`params.logger`) on the first
+ * report row of the page.
+ * @param {number} index The position of the URL in the input list.
+ */
+const reportPageLog = (index) => {
+  const logger = importStatus.loggers[index];
+  const [row] = getPageRows(index);
+  if (!logger || !row || logger.entries.length === 0) return;
+  const log = formatLog(logger.entries);
+  row.log = log.length > MAX_LOG_LENGTH ? `${log.substring(0, MAX_LOG_LENGTH)}\n... (truncated)` : log;
+};
+
+/**
+ * Shows the messages logged by the import.js for the page in the Log tab of the workbench.
+ * @param {Object} logger The page logger.
+ */
+const showPageLog = (logger) => {
+  const entries = logger?.entries || [];
+  LOG_PANEL.textContent = '';
+  entries.forEach(({ level, message }) => {
+    const entry = document.createElement('div');
+    entry.className = 'import-log-entry';
+    entry.dataset.level = level;
+    const label = document.createElement('span');
+    label.className = 'import-log-level';
+    label.textContent = level;
+    entry.append(label, ` ${message}`);
+    LOG_PANEL.append(entry);
+  });
+  if (entries.length === 0) {
+    LOG_PANEL.textContent = 'No message logged by the import.js (params.logger) for this page.';
+  }
+  LOG_TAB.setAttribute('label', entries.length > 0 ? `Log (${entries.length})` : 'Log');
+};
+
+const updateImporterUI = (results, originalURL, index) => {
+  // late result of a page already reported as timed out
+  if (importStatus.timedOut.has(index)) return;
   try {
+    reportPageLog(index);
+    if (!IS_BULK) {
+      // the next transformations of the page (hot reload) start with an empty log
+      showPageLog(importStatus.loggers[index]);
+      importStatus.loggers[index]?.clear();
+    }
     const status = results.length > 0 && results[0].status ? results[0].status.toLowerCase() : 'success';
     if (!IS_BULK) {
       IMPORT_FILE_PICKER_CONTAINER.textContent = '';
@@ -113,13 +418,13 @@ const updateImporterUI = (results, originalURL) => {
           picker.setAttribute('disabled', true);
         }
 
-        results.forEach((result, index) => {
+        results.forEach((result, i) => {
           const { path } = result;
 
           // add result to picker list
           const item = document.createElement('sp-menu-item');
           item.textContent = path;
-          if (index === 0) {
+          if (i === 0) {
             item.setAttribute('selected', true);
             picker.setAttribute('label', path);
             picker.setAttribute('value', path);
@@ -139,42 +444,22 @@ const updateImporterUI = (results, originalURL) => {
         loadResult(results[0]);
       } else if (status === 'redirect') {
         alert.warning(`No page imported: ${results[0].from} redirects to ${results[0].to}`);
+      } else if (status === 'asset') {
+        alert.info(`No page imported: ${originalURL} is not a page (${results[0].contentType})`);
+      } else if (status === 'skipped') {
+        alert.info(`No page imported: ${originalURL} skipped by the beforeFetch of the import.js`);
       }
     } else {
-      const li = document.createElement('li');
-      const link = document.createElement('sp-link');
-      link.setAttribute('size', 'm');
-      link.setAttribute('target', '_blank');
-      link.setAttribute('href', originalURL);
-      link.textContent = originalURL;
-      li.append(link);
-
-      let name = 'sp-icon-checkmark-circle';
-      let label = 'Success';
-      if (status === 'redirect') {
-        name = 'sp-icon-alias';
-        label = 'Redirect';
-      } else if (status === 'error') {
-        name = 'sp-icon-alert';
-        label = 'Error';
-      }
-
-      const icon = document.createElement(name);
-      icon.setAttribute('label', label);
-      li.append(icon);
+      // the rows of the re-run pages are pending until imported again
+      const previous = getResultRow(index);
+      const isNew = !previous || previous.dataset.status === 'pending';
+      const row = renderResultRow(originalURL, index);
 
-      BULK_URLS_LIST.append(li);
-
-      const totalTime = Math.round((new Date() - importStatus.startTime) / 1000);
-      let timeStr = `${totalTime}s`;
-      if (totalTime > 60) {
-        timeStr = `${Math.round(totalTime / 60)}m ${totalTime % 60}s`;
-        if (totalTime > 3600) {
-          timeStr = `${Math.round(totalTime / 3600)}h ${Math.round((totalTime % 3600) / 60)}m`;
-        }
+      if (isNew) {
+        importStatus.imported += 1;
       }
-
-      BULK_URLS_HEADING.innerText = `Imported URLs (${importStatus.imported} / ${importStatus.total}) - Elapsed time: ${timeStr}`;
+      importStatus.progress?.record(row.dataset.status);
+      updateProgressUI();
     }
   } catch (err) {
     // eslint-disable-next-line no-console
@@ -183,16 +468,116 @@ const updateImporterUI = (results, originalURL) => {
 };
 
 const clearResultPanel = () => {
-  BULK_URLS_LIST.textContent = '';
+  BULK_RESULTS_BODY.textContent = '';
+  BULK_RESULTS_TABLE.classList.remove('hidden');
+  BULK_RESULTS_FILTERS.classList.remove('hidden');
+  COMPARE_PANEL.classList.add('hidden');
   BULK_URLS_HEADING.textContent = 'Importing...';
+  PROGRESS_BAR.value = 0;
+  PROGRESS_STATS.textContent = '';
+  PROGRESS_CONTAINER.classList.remove('hidden');
 };
 
 const initImportStatus = () => {
+  clearInterval(importStatus.progressInterval);
+  importStatus.progressInterval = null;
+  importStatus.progress = null;
   importStatus.startTime = 0;
   importStatus.imported = 0;
   importStatus.total = 0;
   importStatus.rows = [];
+  indexReportRows();
+  importState.reset();
+  // rows of the results table, by index
+  importStatus.resultRows = new Map();
   importStatus.extraCols = [];
+  importStatus.queue = [];
+  importStatus.activeSlots = 0;
+  importStatus.paused = false;
+  importStatus.cancelled = false;
+  importStatus.persistFailed = false;
+  importStatus.pausedSlots = [];
+  importStatus.urls = [];
+  importStatus.headers = {};
+  // new Markdown of the changed pages in compare mode, by `index:path`
+  importStatus.comparisons = {};
+  // loggers passed to the import.js as params.logger, by index
+  importStatus.loggers = {};
+  // transformation files used by the import, whose onComplete is called at the end
+  importStatus.importFiles = new Set();
+  // pages being saved, see trackPageSave
+  importStatus.pendingSaves = new Set();
+  // indexes of the pages reported as timed out, whose late results are dropped
+  importStatus.timedOut = new Set();
+};
+
+/**
+ * Saves the state of the current bulk import run in IndexedDB, so that it can be resumed
+ * after a crash or a reload. Writes are batched: the state is saved at most once per second,
+ * only the new report rows are written (see ImportState).
+ */
+const persistImportState = () => {
+  if (!IS_BULK || importStatus.persistTimeout) return;
+  importStatus.persistTimeout = setTimeout(async () => {
+    importStatus.persistTimeout = null;
+    try {
+      await importState.save({
+        urls: importStatus.urls,
+        rows: importStatus.rows,
+        extraCols: importStatus.extraCols,
+        options: { ...config.fields },
+        // archives only live in memory, they cannot be restored
+        dirHandle: dirHandle instanceof ZipArchive ? null : dirHandle,
+      });
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to save the import state', e);
+      // saved every second: only tell once per run
+      if (!importStatus.persistFailed) {
+        importStatus.persistFailed = true;
+        alert.error(`Failed to save the import state, this import cannot be resumed after a reload: ${e.message}`);
+      }
+    }
+  }, PERSIST_DELAY);
+};
+
+/**
+ * Removes the state of the bulk import run once it is complete, after the pending saves:
+ * a late save must not offer to resume a complete run.
+ */
+const clearImportState = async () => {
+  clearTimeout(importStatus.persistTimeout);
+  importStatus.persistTimeout = null;
+  try {
+    await importState.clear();
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to clear the import state', e);
+  }
+};
+
+/**
+ * Converts the values of the report returned by the import.js which cannot be saved with the
+ * import state (elements, functions...): the values other than strings are serialized like in
+ * the report file.
+ * @param {Object} report The report of the page.
+ * @returns {Object} The report, with strings or empty values.
+ */
+const sanitizeReport = (report) => Object.fromEntries(Object.entries(report).map(([key, value]) => {
+  if (!value || typeof value === 'string') return [key, value];
+  try {
+    return [key, JSON.stringify(value) ?? String(value)];
+  } catch (e) {
+    return [key, String(value)];
+  }
+}));
+
+const addReportRow = (row) => {
+  // late result of a page already reported as timed out
+  if (importStatus.timedOut.has(row.index)) return;
+  importStatus.rows.push(row);
+  indexReportRow(row);
+  persistImportState();
 };
 
 const disableProcessButtons = () => {
@@ -203,6 +588,85 @@ const enableProcessButtons = () => {
   IMPORT_BUTTON.disabled = false;
 };
 
+const toggleRunControls = (running) => {
+  if (!IS_BULK) return;
+  [PAUSE_BUTTON, RESUME_BUTTON, CANCEL_BUTTON].forEach((button) => {
+    button.disabled = false;
+    button.classList.add('hidden');
+  });
+  if (running) {
+    PAUSE_BUTTON.classList.remove('hidden');
+    CANCEL_BUTTON.classList.remove('hidden');
+  }
+};
+
+/**
+ * Returns the retry options of the page fetches.
+ * @param {Function} onSend Called each time a request is actually sent (after the throttling
+ * wait and the retry backoff).
+ * @returns {Object} The options of fetchWithRetry.
+ */
+const getRetryOptions = (onSend) => {
+  // 0 is a valid delay, only a missing or invalid value falls back to the default
+  const delay = parseFloat(config.fields['import-retry-delay']);
+  return {
+    retries: Number(config.fields['import-retry-count']) || 0,
+    delay: Number.isFinite(delay) && delay >= 0 ? delay : 1000,
+    statuses: parseStatuses(config.fields['import-retry-statuses']),
+    onRetry: ({ url, attempt, status }) => {
+      // eslint-disable-next-line no-console
+      console.warn(`Attempt ${attempt} to fetch ${url} failed (${status || 'network error'}) - retrying`);
+    },
+    fetcher: (url, options) => scheduler.fetch(url, options, { onSend }),
+  };
+};
+
+/**
+ * Computes the headers sent with every request of the import (custom headers and credentials).
+ * Invalid custom headers are reported before anything is imported.
+ * @returns {boolean} True if the headers are valid.
+ */
+const prepareRequestHeaders = () => {
+  try {
+    const ignored = [];
+    importStatus.headers = getRequestHeaders(config.fields['import-custom-headers'], ignored);
+    CUSTOM_HEADERS_FIELD.invalid = false;
+    if (ignored.length > 0) {
+      alert.warning(`Custom header(s) not sent: ${ignored.join(', ')} - browsers do not let a script set them, cookies are not supported (use the --headers-file option of aem import instead)`);
+    }
+    return true;
+  } catch (e) {
+    CUSTOM_HEADERS_FIELD.invalid = true;
+    alert.error(e.message);
+    return false;
+  }
+};
+
+/**
+ * Applies the routes of the transformation files to all the importers.
+ * Invalid routes are reported before anything is imported.
+ * @returns {boolean} True if the routes are valid.
+ */
+const prepareRoutes = () => {
+  try {
+    config.routes = parseRoutes(config.fields['import-routes']);
+    ROUTES_FIELD.invalid = false;
+  } catch (e) {
+    ROUTES_FIELD.invalid = true;
+    alert.error(e.message);
+    return false;
+  }
+  config.importers.forEach((importer) => importer.setRoutes(config.routes));
+  return true;
+};
+
+const getLoadStrategy = () => ({
+  type: config.fields['import-load-strategy'] || 'delay',
+  delay: config.fields['import-pageload-timeout'] || 100,
+  selector: config.fields['import-load-selector'],
+  timeout: Number(config.fields['import-load-max-wait']) || 10000,
+});
+
 const getProxyURLSetup = (url, origin) => {
   const u = new URL(url);
   if (!u.searchParams.get('host')) {
@@ -221,32 +685,100 @@ const getProxyURLSetup = (url, origin) => {
   };
 };
 
-const postSuccessfulStep = async (results, originalURL) => {
+const getSaveFormats = () => SAVE_FORMATS.filter((format) => config.fields[`import-local-${format}`]);
+
+/**
+ * Reads the Markdown file previously imported for a path: saved alone or next to other
+ * formats (md folder).
+ * @param {string} path The page path.
+ * @returns {Promise<Object>} The `file` path and its `md`, null if there is no file.
+ */
+const readExistingMarkdown = async (path) => {
+  const candidates = [`${path}.md`, `/md${path}.md`];
+  for (let i = 0; i < candidates.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const file = await readFile(dirHandle, candidates[i]);
+    if (file) {
+      // eslint-disable-next-line no-await-in-loop
+      return { file: candidates[i], md: await file.text() };
+    }
+  }
+  return null;
+};
+
+/**
+ * Compares the new Markdown of a page with the file in the selected folder.
+ * @param {Object} data The report row data, receives the `comparison` and the existing `file`.
+ * @param {string} md The new Markdown.
+ */
+const compareMarkdown = async (data, md) => {
+  const key = `${data.index}:${data.path}`;
+  delete importStatus.comparisons[key];
+  const existing = await readExistingMarkdown(data.path);
+  if (!existing) {
+    data.comparison = 'new';
+  } else if (normalizeText(existing.md) === normalizeText(md)) {
+    data.comparison = 'unchanged';
+    data.file = existing.file;
+  } else {
+    data.comparison = 'changed';
+    data.file = existing.file;
+    importStatus.comparisons[key] = md;
+  }
+};
+
+const postSuccessfulStep = async (results, originalURL, index, attempts, importFile) => {
   let error = false;
+  const saved = [];
   await asyncForEach(results, async ({
     docx, html, md, filename, path, report, from,
   }) => {
     const data = {
+      index,
       url: originalURL,
+      attempts,
+      importFile,
       path,
     };
 
-    if (isSaveLocal && dirHandle && (docx || html || md)) {
+    if (isCompareMode()) {
+      if (md) {
+        try {
+          await compareMarkdown(data, md);
+          data.status = 'Success';
+        } catch (e) {
+          // eslint-disable-next-line no-console
+          console.error(`Failed to compare the Markdown of ${originalURL}`, e);
+          data.status = `Error: Failed to compare ${path}.md - ${e.message}`;
+          error = true;
+        }
+      } else {
+        data.status = 'Success - Not compared';
+      }
+    } else if (isSaveLocal && dirHandle && (docx || html || md)) {
+      const formats = getSaveFormats();
       const files = [];
-      if (config.fields['import-local-docx'] && docx) {
+      if (formats.includes('docx') && docx) {
         files.push({ type: 'docx', filename, data: docx });
-      } else if (config.fields['import-local-html'] && html) {
+      }
+      if (formats.includes('html') && html) {
         files.push({ type: 'html', filename: `${path}.html`, data: `<html><head></head>${html}</html>` });
-      } else if (config.fields['import-local-md'] && md) {
+      }
+      if (formats.includes('md') && md) {
         files.push({ type: 'md', filename: `${path}.md`, data: md });
       }
 
-      files.forEach((file) => {
+      data.files = {};
+      data.status = files.length > 0 ? 'Success' : 'Success - No file created';
+      await asyncForEach(files, async (file) => {
+        // when several formats are selected, each format is saved in its own folder
+        const filePath = formats.length > 1 ? `/${file.type}${file.filename}` : file.filename;
         try {
-          const filePath = files.length > 1 ? `/${file.type}${file.filename}` : file.filename;
-          saveFile(dirHandle, filePath, file.data);
-          data.file = filePath;
-          data.status = 'Success';
+          await saveFile(dirHandle, filePath, file.data);
+          data.files[file.type] = filePath;
+          // the file column keeps the first saved file (docx, then html, then md)
+          data.file = data.file || filePath;
+          saved.push(filePath);
         } catch (e) {
           // eslint-disable-next-line no-console
           console.error(`Failed to save ${file.type} file ${path} for ${originalURL}`, e);
@@ -256,7 +788,7 @@ const postSuccessfulStep = async (results, originalURL) => {
       });
     } else if (from) {
       try {
-        const res = await fetch(from);
+        const res = await scheduler.fetch(from, { headers: importStatus.headers });
         if (res && res.ok) {
           if (res.redirected) {
             data.status = 'Redirect';
@@ -265,6 +797,7 @@ const postSuccessfulStep = async (results, originalURL) => {
             const blob = await res.blob();
             await saveFile(dirHandle, path, blob);
             data.file = path;
+            saved.push(path);
             data.status = 'Success';
           } else {
             data.status = 'Success - No file created';
@@ -289,27 +822,55 @@ const postSuccessfulStep = async (results, originalURL) => {
           importStatus.extraCols.push(key);
         }
       });
-      data.report = report;
+      data.report = sanitizeReport(report);
     }
 
-    importStatus.rows.push(data);
+    addReportRow(data);
   });
 
-  return error;
+  return { error, files: saved };
+};
+
+/**
+ * Saves an additional file from an import.js hook, next to the imported files.
+ * @param {string} path The file path.
+ * @param {*} content The file content.
+ * @throws {Error} If no output folder is selected.
+ */
+const saveHookFile = async (path, content) => {
+  if (!dirHandle) {
+    throw new Error(`Cannot save ${path}: no output folder selected`);
+  }
+  await saveFile(dirHandle, path, content);
+};
+
+const downloadBlob = (blob, filename) => {
+  const a = document.createElement('a');
+  a.setAttribute('href', URL.createObjectURL(blob));
+  a.setAttribute('download', filename);
+  a.click();
 };
 
-const autoSaveReport = () => dirHandle && IS_BULK;
+// the report of a compare run is only downloaded: it must not overwrite the import report
+const autoSaveReport = () => dirHandle && IS_BULK && !isCompareMode();
 
 const getReport = async () => {
   const workbook = new ExcelJS.Workbook();
   const worksheet = workbook.addWorksheet('Sheet 1');
 
-  const headers = ['URL', 'path', 'file', 'status', 'redirect'].concat(importStatus.extraCols);
+  // one column per saved format
+  const formats = SAVE_FORMATS.filter(
+    (format) => importStatus.rows.some((row) => row.files?.[format]),
+  );
+  const optionalColumns = Object.keys(OPTIONAL_COLUMNS).filter(
+    (col) => importStatus.rows.some((row) => row[OPTIONAL_COLUMNS[col]] !== undefined),
+  );
+  const headers = REPORT_COLUMNS.concat(optionalColumns, formats, importStatus.extraCols);
 
   // create Excel auto Filters for the first row / header
   worksheet.autoFilter = {
-    from: 'A1',
-    to: `${String.fromCharCode(65 + headers.length - 1)}1`, // 65 = 'A'...
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: headers.length },
   };
 
   // specify a width for known path / url columns
@@ -319,11 +880,14 @@ const getReport = async () => {
   worksheet.getColumn(3).width = w;
   worksheet.getColumn(5).width = w;
 
+  // rows are collected in completion order, the report follows the input order
+  const rows = [...importStatus.rows].sort((a, b) => a.index - b.index);
+
   worksheet.addRows([
     headers,
-  ].concat(importStatus.rows.map((row) => {
+  ].concat(rows.map((row) => {
     const {
-      url, path, file, status, redirect, report,
+      url, path, file, files, status, redirect, attempts, report,
     } = row;
     const extra = [];
     if (report) {
@@ -347,12 +911,106 @@ const getReport = async () => {
         }
       });
     }
-    return [url, path, file || '', status, redirect || ''].concat(extra);
+    return [url, path, file || '', status, redirect || '', attempts || '']
+      .concat(
+        optionalColumns.map((col) => row[OPTIONAL_COLUMNS[col]] ?? ''),
+        formats.map((format) => files?.[format] || ''),
+        extra,
+      );
   })));
 
   return workbook.xlsx.writeBuffer();
 };
 
+/**
+ * Loads the rows of the import report previously saved in the selected folder.
+ * @returns {Promise<Array>} The report rows, an empty list if there is no report.
+ */
+const loadPreviousReport = async () => {
+  const file = await readFile(dirHandle, REPORT_FILENAME);
+  if (!file) return [];
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const worksheet = workbook.worksheets[0];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cell.text;
+  });
+
+  const rows = [];
+  worksheet.eachRow((r, number) => {
+    if (number === 1) return;
+    const row = {};
+    r.eachCell((cell, col) => {
+      const header = headers[col];
+      if (!header) return;
+      const value = cell.formula ? `=${cell.formula.replace(/^_xlfn\./, '')}` : cell.text;
+      const key = header === 'URL' ? 'url' : header;
+      if (REPORT_COLUMNS.includes(header)) {
+        row[key] = value;
+      } else if (OPTIONAL_COLUMNS[header]) {
+        row[OPTIONAL_COLUMNS[header]] = value;
+      } else if (SAVE_FORMATS.includes(header)) {
+        row.files = row.files || {};
+        row.files[header] = value;
+      } else {
+        row.report = row.report || {};
+        row.report[header] = value;
+        if (!importStatus.extraCols.includes(header)) {
+          importStatus.extraCols.push(header);
+        }
+      }
+    });
+    if (row.url) {
+      rows.push(row);
+    }
+  });
+  return rows;
+};
+
+/**
+ * Removes from the URLs to import the ones successfully imported by a previous run,
+ * according to the import report found in the selected folder. The rows of the previous
+ * report are kept, except the ones of the URLs imported again.
+ * @param {Array} urls The list of { url, index } to import.
+ * @returns {Promise<Array>} The list of { url, index } still to import.
+ */
+const excludeImportedURLs = async (urls) => {
+  let previousRows;
+  try {
+    previousRows = await loadPreviousReport();
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to read the previous ${REPORT_FILENAME} - importing all URLs`, e);
+    return urls;
+  }
+
+  const imported = new Set(previousRows
+    .filter((row) => row.status && row.status.startsWith('Success'))
+    .map((row) => row.url));
+  const indexes = new Map(urls.map(({ url, index }) => [url, index]));
+
+  // rows of URLs which are not part of this import are kept after the new ones
+  let nextIndex = urls.length;
+  previousRows.forEach((row) => {
+    if (!indexes.has(row.url)) {
+      indexes.set(row.url, nextIndex);
+      nextIndex += 1;
+    }
+    const index = indexes.get(row.url);
+    if (imported.has(row.url) || index >= urls.length) {
+      importStatus.rows.push({ ...row, index });
+    }
+  });
+  indexReportRows();
+
+  const toImport = urls.filter(({ url }) => !imported.has(url));
+  importStatus.imported = urls.length - toImport.length;
+  return toImport;
+};
+
 const postImportStep = async () => {
   if (autoSaveReport()) {
     // save report file in the folder
@@ -367,44 +1025,113 @@ const postImportStep = async () => {
   return true;
 };
 
-const createImporter = () => {
-  config.importer = new PollImporter({
-    origin: config.origin,
-    poll: !IS_BULK,
-    importFileURL: config.fields['import-file-url'],
-  });
-};
+const getContentFrameId = (slot) => (slot > 0 ? `${CONTENT_FRAME_ID}-${slot}` : CONTENT_FRAME_ID);
 
-const getContentFrame = () => document.querySelector(`${PARENT_SELECTOR} iframe`);
+const getContentFrame = (slot = 0) => document.getElementById(getContentFrameId(slot));
 
-const sleep = (ms) => new Promise(
-  (resolve) => {
-    setTimeout(resolve, ms);
-  },
-);
+/**
+ * Formats an error of the import.js for the import report: the failing step and the stack
+ * trace mapped to the transformation files.
+ * @param {Object} mapped The mapped error (see PollImporter.mapError).
+ * @param {string} stage The failing step: `onLoad` or `transform`.
+ * @returns {string} The error details.
+ */
+const getErrorDetails = ({ message, frames }, stage) => [`${stage || 'import'} failed: ${message}`]
+  .concat(frames.slice(0, MAX_STACK_FRAMES).map(formatFrame))
+  .join('\n');
 
-const smartScroll = async (window) => {
-  let scrolledOffset = 0;
-  let maxLoops = 4;
-  while (maxLoops > 0 && window.document.body.scrollHeight > scrolledOffset) {
-    const scrollTo = window.document.body.scrollHeight;
-    window.scrollTo({ left: 0, top: scrollTo, behavior: 'smooth' });
-    scrolledOffset = scrollTo;
-    maxLoops -= 1;
-    // eslint-disable-next-line no-await-in-loop
-    await sleep(250);
+const hideErrorPanel = () => {
+  ERROR_PANEL.classList.add('hidden');
+};
+
+/**
+ * Shows an error of the import.js in the workbench: the page URL and params, the stack trace
+ * mapped to the transformation files and the failing line of the import.js source.
+ * @param {Object} mapped The mapped error (see PollImporter.mapError).
+ * @param {Object} page The page `url`, its `params` and the failing `stage`.
+ */
+const showErrorPanel = async ({ message, frames, source }, { url, params, stage }) => {
+  ERROR_MESSAGE.textContent = `${stage || 'import'} failed: ${message}`;
+  ERROR_URL.textContent = url;
+  const { logger, ...pageParams } = params || {};
+  ERROR_PARAMS.textContent = JSON.stringify(pageParams, null, 2);
+  ERROR_STACK.textContent = frames.map(formatFrame).join('\n') || 'No stack trace';
+  ERROR_PANEL.classList.remove('hidden');
+
+  if (ui.errorLine !== undefined) {
+    ui.errorEditor.removeLineClass(ui.errorLine, 'background', 'import-error-line');
+  }
+  ui.errorLine = undefined;
+  if (!source) {
+    ERROR_SOURCE_TITLE.textContent = 'The error is not thrown by the transformation files';
+    ui.errorEditor.setValue('');
+    return;
+  }
+
+  ERROR_SOURCE_TITLE.textContent = `${source.file} - line ${source.line}`;
+  try {
+    const res = await fetch(source.url);
+    ui.errorEditor.setValue(res.ok ? await res.text() : `Cannot load ${source.file}: ${res.status}`);
+  } catch (e) {
+    ui.errorEditor.setValue(`Cannot load ${source.file}: ${e.message}`);
   }
+  ui.errorLine = source.line - 1;
+  ui.errorEditor.addLineClass(ui.errorLine, 'background', 'import-error-line');
+  ui.errorEditor.refresh();
+  ui.errorEditor.scrollIntoView({ line: ui.errorLine, ch: 0 }, 100);
 };
 
-const attachListeners = () => {
-  attachOptionFieldsListeners(config.fields, PARENT_SELECTOR);
+/**
+ * Wraps a listener of the importer saving and reporting a page: the import is only finalized
+ * once all the pages are saved, also the page of a slot which moved on after a page timeout.
+ * @param {Function} listener The async listener.
+ * @returns {Function} The listener tracking its pending saves.
+ */
+const trackPageSave = (listener) => (event) => {
+  const saving = listener(event);
+  importStatus.pendingSaves.add(saving);
+  return saving.finally(() => importStatus.pendingSaves.delete(saving));
+};
 
-  config.importer.addListener(async ({ results }) => {
-    const frame = getContentFrame();
-    const { originalURL } = frame.dataset;
+const attachImporterListeners = (importer, slot) => {
+  importer.addListener(trackPageSave(async ({ results, params }) => {
+    // late result of a page which timed out: the slot uses a new importer
+    if (config.importers[slot] !== importer) return;
+
+    const frame = getContentFrame(slot);
+    const { originalURL, importFile } = frame.dataset;
+    const index = Number(frame.dataset.index);
+    const attempts = Number(frame.dataset.attempts);
 
-    updateImporterUI(results, originalURL);
-    let error = await postSuccessfulStep(results, originalURL);
+    const saved = await postSuccessfulStep(results, originalURL, index, attempts, importFile);
+    let { error } = saved;
+    try {
+      // nothing is saved in compare mode
+      if (!isCompareMode()) {
+        await importer.afterSave({
+          url: originalURL,
+          params,
+          results,
+          files: saved.files,
+          saveFile: saveHookFile,
+        });
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error(`afterSave of the import.js failed for ${originalURL}`, e);
+      error = true;
+      // the files are saved but the page is not fully imported
+      getPageRows(index)
+        .filter((row) => getStatusCategory(row.status) !== 'error')
+        .forEach((row) => {
+          row.status = `Error: afterSave failed - ${e.message}`;
+        });
+      // the saved rows are modified
+      importState.reset();
+      persistImportState();
+    }
+    if (!IS_BULK) hideErrorPanel();
+    updateImporterUI(results, originalURL, index);
     error = await postImportStep() && error;
 
     if (error) {
@@ -412,217 +1139,1091 @@ const attachListeners = () => {
     } else {
       alert.success(`Import of page ${originalURL} completed.`);
     }
-  });
+  }));
+
+  importer.addErrorListener(trackPageSave(async ({
+    url, error: err, params, stage,
+  }) => {
+    if (config.importers[slot] !== importer) return;
 
-  config.importer.addErrorListener(async ({ url, error: err, params }) => {
-    const frame = getContentFrame();
+    const frame = getContentFrame(slot);
     const { originalURL } = frame.dataset;
+    const index = Number(frame.dataset.index);
+    const attempts = Number(frame.dataset.attempts);
 
     // eslint-disable-next-line no-console
     console.error(`Error importing ${url}: ${err.message}`, err);
     alert.error(`Error importing ${url}: ${err.message}`);
 
-    importStatus.rows.push({
+    const mapped = importer.mapError(err);
+    if (!IS_BULK) {
+      showErrorPanel(mapped, { url: originalURL, params, stage });
+    }
+
+    addReportRow({
+      index,
       url: params.originalURL,
+      attempts,
+      importFile: frame.dataset.importFile,
       status: `Error: ${err.message}`,
+      errorDetails: getErrorDetails(mapped, stage),
     });
 
-    updateImporterUI([{ status: 'error' }], originalURL);
+    updateImporterUI([{ status: 'error' }], originalURL, index);
     await postImportStep();
-  });
+  }));
+};
 
-  IMPORT_BUTTON.addEventListener('click', (async () => {
-    initImportStatus();
+/**
+ * Shows which version of the transformation file is loaded in the workbench.
+ */
+const showImportFileVersion = ({
+  file, version, local, lastModified, error,
+}) => {
+  const name = file.split('/').pop();
+  IMPORT_FILE_VERSION.variant = error ? 'negative' : 'neutral';
+  if (error) {
+    IMPORT_FILE_VERSION.textContent = `${name}: ${error}`;
+    return;
+  }
+  const time = new Date(lastModified).toLocaleTimeString();
+  IMPORT_FILE_VERSION.textContent = local
+    ? `${name} v${version}, saved at ${time} in the local folder ${config.localFolder.name}`
+    : `${name} v${version}, loaded at ${time} from the server`;
+};
 
-    if (IS_BULK) {
-      clearResultPanel();
-      if (config.fields['import-show-preview']) {
-        PREVIEW_CONTAINER.classList.remove('hidden');
-      } else {
-        PREVIEW_CONTAINER.classList.add('hidden');
-      }
-      DOWNLOAD_IMPORT_REPORT_BUTTON.classList.remove('hidden');
-    } else {
-      DOWNLOAD_IMPORT_REPORT_BUTTON.classList.add('hidden');
-      PREVIEW_CONTAINER.classList.remove('hidden');
-    }
+const createImporter = (slot = 0) => {
+  // a replaced importer (e.g. stuck in a transformation) must not poll nor notify anymore
+  config.importers[slot]?.stop();
+  const importer = new PollImporter({
+    origin: config.origin,
+    poll: !IS_BULK,
+    importFileURL: config.fields['import-file-url'],
+    routes: config.routes,
+    localFolder: config.localFolder,
+  });
+  attachImporterListeners(importer, slot);
+  if (!IS_BULK && slot === 0) {
+    importer.addReloadListener(showImportFileVersion);
+  }
+  config.importers[slot] = importer;
+  return importer;
+};
 
-    disableProcessButtons();
-    toggleLoadingButton(IMPORT_BUTTON);
-    isSaveLocal = config.fields['import-local-docx'] || config.fields['import-local-html'] || config.fields['import-local-md'];
-    if (isSaveLocal && !dirHandle) {
-      try {
-        dirHandle = await getDirectoryHandle();
-        await dirHandle.requestPermission({
-          mode: 'readwrite',
-        });
-        FOLDERNAME_SPAN.innerText = `Saving file(s) to: ${dirHandle.name}`;
-        FOLDERNAME_SPAN.classList.remove('hidden');
-      } catch (e) {
-        // eslint-disable-next-line no-console
-        console.log('No directory selected');
-      }
+/**
+ * Prepares one content frame and one importer per concurrent import slot.
+ * Slot 0 uses the preview frame, the other slots use hidden frames next to it.
+ * @param {number} size The number of pages to import in parallel.
+ * @returns {Promise} Resolves when all importers have loaded the transformation file.
+ */
+const setupImportPool = async (size) => {
+  PREVIEW_CONTAINER.querySelectorAll('.import-worker-frame').forEach((frame) => frame.remove());
+  for (let slot = 1; slot < size; slot += 1) {
+    const frame = document.createElement('iframe');
+    frame.id = getContentFrameId(slot);
+    frame.classList.add('import-worker-frame');
+    frame.setAttribute('frameborder', '0');
+    PREVIEW_CONTAINER.append(frame);
+
+    if (!config.importers[slot]) {
+      createImporter(slot);
     }
+  }
+  return Promise.all(config.importers.slice(0, size).map((importer) => importer.ready));
+};
 
-    const field = IS_BULK ? 'import-urls' : 'import-url';
-    const urlsArray = config.fields[field].split('\n').reverse().filter((u) => u.trim() !== '');
-    importStatus.total = urlsArray.length;
-    importStatus.startTime = Date.now();
-    const processNext = async () => {
-      if (urlsArray.length > 0) {
-        const url = urlsArray.pop();
-        const { remote, proxy } = getProxyURLSetup(url, config.origin);
-        const src = proxy.url;
+/**
+ * Replaces the content frame of a slot by an empty one, stopping the page it contains.
+ * @param {number} slot The import slot.
+ */
+const resetContentFrame = (slot) => {
+  const current = getContentFrame(slot);
+  const frame = document.createElement('iframe');
+  frame.id = getContentFrameId(slot);
+  frame.setAttribute('frameborder', '0');
+  if (slot > 0) {
+    frame.classList.add('import-worker-frame');
+  }
+  current.src = 'about:blank';
+  current.replaceWith(frame);
+};
 
-        importStatus.imported += 1;
-        // eslint-disable-next-line no-console
-        console.log(`Importing: ${importStatus.imported} => ${src}`);
+const smartScroll = async (window) => {
+  let scrolledOffset = 0;
+  let maxLoops = 4;
+  while (maxLoops > 0 && window.document.body.scrollHeight > scrolledOffset) {
+    const scrollTo = window.document.body.scrollHeight;
+    window.scrollTo({ left: 0, top: scrollTo, behavior: 'smooth' });
+    scrolledOffset = scrollTo;
+    maxLoops -= 1;
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(250);
+  }
+};
 
-        let res;
-        try {
-          const headers = JSON.parse(config.fields['import-custom-headers'] || '{}');
-          res = await fetch(src, {
-            headers,
-          });
-        } catch (e) {
-          // eslint-disable-next-line no-console
-          console.error(`Unexpected error when trying to fetch ${src} - CORS issue or invalid headers ?`, e);
-        }
-        if (res && res.ok) {
-          if (res.redirected) {
-            const u = new URL(res.url);
-            let redirect = res.url;
-            if (u.origin === window.location.origin) {
-              redirect = `${remote.origin}${u.pathname}`;
-            }
-            importStatus.rows.push({
-              url,
-              status: 'Redirect',
-              redirect,
-            });
-            // eslint-disable-next-line no-console
-            console.warn(`Cannot transform ${url} - redirected to ${redirect}`);
-            updateImporterUI([{ status: 'redirect', from: url, to: redirect }], url);
-            processNext();
+/**
+ * Handles a URL which is not a page (PDF, image, document...): the asset is reported with
+ * its content type and size, and saved into the assets folder if requested.
+ * @param {Response} res The asset response.
+ * @param {string} src The asset URL (through the proxy).
+ * @param {Object} data The report row data.
+ * @returns {Promise<Object>} The report row.
+ */
+const importAsset = async (res, src, data) => {
+  const path = WebImporter.FileUtils.sanitizePath(new URL(src).pathname);
+  const row = {
+    ...data,
+    path,
+    status: 'Success - No file created',
+  };
+  try {
+    const blob = await res.blob();
+    row.size = blob.size;
+    if (dirHandle && config.fields['import-save-assets'] && !isCompareMode()) {
+      const folder = `${config.fields['import-assets-folder'] || ''}`.trim().replace(/^\/+|\/+$/g, '');
+      const file = folder ? `/${folder}${path}` : path;
+      await saveFile(dirHandle, file, blob);
+      row.file = file;
+      row.status = 'Success';
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to save the asset ${src}`, e);
+    row.status = `Error: Failed to save the asset ${path} - ${e.message}`;
+  }
+  return row;
+};
+
+/**
+ * Empties the import queue, reporting all the URLs not imported yet as skipped.
+ */
+const skipRemainingURLs = () => {
+  while (importStatus.queue.length > 0) {
+    const { url, index } = importStatus.queue.pop();
+    addReportRow({
+      index,
+      url,
+      status: 'Skipped',
+    });
+    if (getResultRow(index)) {
+      renderResultRow(url, index);
+    }
+  }
+};
+
+/**
+ * Returns the URLs of the current bulk import whose status in the report starts with
+ * one of the statuses to retry (comma separated option, case insensitive).
+ * @returns {Array} The list of { url, index, params } to import again.
+ */
+const getFailedURLs = () => {
+  const prefixes = `${config.fields['import-retry-failed-statuses'] || ''}`.split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s !== '');
+  const indexes = new Set(importStatus.rows
+    .filter((row) => row.index < importStatus.urls.length)
+    .filter(({ status = '' }) => prefixes.some((p) => status.toLowerCase().startsWith(p)))
+    .map((row) => row.index));
+  return importStatus.urls.filter(({ index }) => indexes.has(index));
+};
+
+const updateRetryFailedButton = () => {
+  const count = getFailedURLs().length;
+  RETRY_FAILED_BUTTON.textContent = `Retry failed URLs (${count})`;
+  RETRY_FAILED_BUTTON.classList.toggle('hidden', count === 0);
+};
+
+const processNext = async (slot) => {
+  if (importStatus.cancelled) {
+    skipRemainingURLs();
+  } else if (importStatus.paused && importStatus.queue.length > 0) {
+    // park the slot, it is restarted when the import is resumed
+    importStatus.pausedSlots.push(slot);
+    return;
+  }
+
+  if (importStatus.queue.length > 0) {
+    const { url, index, params: inputParams = {} } = importStatus.queue.pop();
+    importStatus.timedOut.delete(index);
+    const importer = config.importers[slot];
+    const logger = createPageLogger(url);
+    importStatus.loggers[index] = logger;
+
+    // the page is done either when it is imported or when the watchdog expires
+    let done = false;
+    let watchdog;
+    const next = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(watchdog);
+      processNext(slot);
+    };
+
+    let attempts = 1;
+    const pageTimeout = Number(config.fields['import-page-timeout']) || 0;
+    // the deadline covers the import.js hooks, then starts again when the request is sent: the
+    // time waiting for the throttling or between 2 attempts is not part of it
+    const startWatchdog = () => {
+      if (pageTimeout <= 0 || done) return;
+      clearTimeout(watchdog);
+      watchdog = setTimeout(async () => {
+        if (done) return;
+        done = true;
+        // eslint-disable-next-line no-console
+        console.warn(`Import of ${url} did not complete within ${pageTimeout}ms - moving on`);
+        alert.error(`Import of ${url} timed out`);
+        addReportRow({
+          index,
+          url,
+          attempts,
+          status: `Timeout: page not imported within ${pageTimeout}ms`,
+        });
+        updateImporterUI([{ status: 'error' }], url, index);
+        importStatus.timedOut.add(index);
+
+        // the importer may be stuck in the transformation: the slot gets a new one
+        resetContentFrame(slot);
+        await createImporter(slot).ready;
+        processNext(slot);
+      }, pageTimeout);
+    };
+
+    startWatchdog();
+    const importFile = await importer.selectImportFile(url);
+    importStatus.importFiles.add(importFile);
+    let fetchURL = url;
+    try {
+      const params = { ...inputParams, originalURL: url, logger };
+      const hook = await importer.beforeFetch({ url, params });
+      if (done) {
+        // the watchdog expired while loading the transformation file or in the hook
+        return;
+      }
+      if (hook.skip) {
+        addReportRow({
+          index,
+          url,
+          importFile,
+          status: 'Skipped: by beforeFetch',
+        });
+        updateImporterUI([{ status: 'skipped' }], url, index);
+        next();
+        return;
+      }
+      fetchURL = hook.url;
+    } catch (e) {
+      if (done) return;
+      // eslint-disable-next-line no-console
+      console.error(`beforeFetch of the import.js failed for ${url}`, e);
+      alert.error(`beforeFetch of the import.js failed for ${url}: ${e.message}`);
+      addReportRow({
+        index,
+        url,
+        importFile,
+        status: `Error: beforeFetch failed - ${e.message}`,
+      });
+      updateImporterUI([{ status: 'error' }], url, index);
+      next();
+      return;
+    }
+
+    const { remote, proxy } = getProxyURLSetup(fetchURL, config.origin);
+    const src = proxy.url;
+
+    // eslint-disable-next-line no-console
+    console.log(`Importing: ${index + 1} => ${src}`);
+
+    // restarted when the request is sent
+    clearTimeout(watchdog);
+    let res;
+    try {
+      ({ res, attempts } = await fetchWithRetry(src, {
+        headers: importStatus.headers,
+      }, getRetryOptions(startWatchdog)));
+    } catch (e) {
+      attempts = e.attempts || attempts;
+      // eslint-disable-next-line no-console
+      console.error(`Unexpected error when trying to fetch ${src} - CORS issue or invalid headers ?`, e);
+    }
+    if (done) {
+      // the watchdog expired while fetching
+      return;
+    }
+    if (res && res.ok) {
+      if (res.redirected) {
+        const u = new URL(res.url);
+        let redirect = res.url;
+        if (u.origin === window.location.origin) {
+          redirect = `${remote.origin}${u.pathname}`;
+        }
+        addReportRow({
+          index,
+          url,
+          attempts,
+          status: 'Redirect',
+          redirect,
+        });
+        // eslint-disable-next-line no-console
+        console.warn(`Cannot transform ${url} - redirected to ${redirect}`);
+        updateImporterUI([{ status: 'redirect', from: url, to: redirect }], url, index);
+        next();
+      } else {
+        const contentType = res.headers.get('content-type') || '';
+        if (contentType.includes('html') || contentType.includes('json')) {
+          const frame = document.createElement('iframe');
+          frame.id = getContentFrameId(slot);
+          if (slot > 0) {
+            frame.classList.add('import-worker-frame');
+          }
+
+          if (config.fields['import-enable-js']) {
+            frame.removeAttribute('sandbox');
           } else {
-            const contentType = res.headers.get('content-type');
-            if (contentType.includes('html') || contentType.includes('json')) {
-              const frame = document.createElement('iframe');
-              frame.id = 'import-content-frame';
-
-              if (config.fields['import-enable-js']) {
-                frame.removeAttribute('sandbox');
-              } else {
-                frame.setAttribute('sandbox', 'allow-same-origin');
-              }
+            frame.setAttribute('sandbox', 'allow-same-origin');
+          }
 
-              const onLoad = async () => {
-                const includeDocx = !!dirHandle && config.fields['import-local-docx'];
-
-                if (config.fields['import-scroll-to-bottom']) {
-                  await smartScroll(frame.contentWindow.window);
-                }
-
-                await sleep(config.fields['import-pageload-timeout'] || 100);
-
-                if (config.fields['import-scroll-to-bottom']) {
-                  await smartScroll(frame.contentWindow.window);
-                }
-
-                if (frame.contentDocument) {
-                  const { originalURL, replacedURL } = frame.dataset;
-
-                  const onLoadSucceeded = await config.importer.onLoad({
-                    url: replacedURL,
-                    document: frame.contentDocument,
-                    params: { originalURL },
-                  });
-
-                  if (onLoadSucceeded) {
-                    config.importer.setTransformationInput({
-                      url: replacedURL,
-                      document: frame.contentDocument,
-                      includeDocx,
-                      params: { originalURL },
-                    });
-                    await config.importer.transform();
-                  }
-                }
-
-                const event = new Event('transformation-complete');
-                frame.dispatchEvent(event);
-              };
+          const onLoad = async () => {
+            const includeDocx = !!dirHandle && config.fields['import-local-docx'];
 
-              frame.addEventListener('load', onLoad);
-              frame.addEventListener('transformation-complete', processNext);
+            if (config.fields['import-scroll-to-bottom']) {
+              await smartScroll(frame.contentWindow.window);
+            }
 
-              frame.dataset.originalURL = url;
-              frame.dataset.replacedURL = src;
+            const { originalURL, replacedURL } = frame.dataset;
+            let loadStrategy = getLoadStrategy();
+            try {
+              loadStrategy = {
+                ...loadStrategy,
+                ...await importer.getLoadStrategy({
+                  url: replacedURL,
+                  params: { ...inputParams, originalURL, logger },
+                }),
+              };
+            } catch (e) {
+              // eslint-disable-next-line no-console
+              console.error(`Failed to get the load strategy of ${originalURL} from the import.js`, e);
+            }
+            await waitForPageLoad(frame.contentWindow.window, loadStrategy);
 
-              if (contentType.includes('json')) {
-                const blob = await res.blob();
-                frame.src = URL.createObjectURL(blob);
-              } else {
-                frame.src = src;
-              }
+            if (config.fields['import-scroll-to-bottom']) {
+              await smartScroll(frame.contentWindow.window);
+            }
 
-              const current = getContentFrame();
-              current.removeEventListener('load', onLoad);
-              current.removeEventListener('transformation-complete', processNext);
-
-              current.replaceWith(frame);
-            } else if (dirHandle) {
-              const blob = await res.blob();
-              const u = new URL(src);
-              const path = WebImporter.FileUtils.sanitizePath(u.pathname);
-
-              await saveFile(dirHandle, path, blob);
-              importStatus.rows.push({
-                url,
-                status: 'Success',
-                path,
+            if (frame.contentDocument) {
+              const onLoadSucceeded = await importer.onLoad({
+                url: replacedURL,
+                document: frame.contentDocument,
+                params: { ...inputParams, originalURL, logger },
               });
-              updateImporterUI([{ status: 'success' }], url);
-              processNext();
+
+              if (onLoadSucceeded) {
+                importer.setTransformationInput({
+                  url: replacedURL,
+                  document: frame.contentDocument,
+                  includeDocx,
+                  params: { ...inputParams, originalURL, logger },
+                });
+                await importer.transform();
+              }
             }
+
+            const event = new Event('transformation-complete');
+            frame.dispatchEvent(event);
+          };
+
+          frame.addEventListener('load', onLoad);
+          frame.addEventListener('transformation-complete', next);
+
+          frame.dataset.originalURL = url;
+          frame.dataset.replacedURL = src;
+          frame.dataset.importFile = importFile;
+          frame.dataset.index = index;
+          frame.dataset.attempts = attempts;
+
+          if (contentType.includes('json')) {
+            const blob = await res.blob();
+            frame.src = URL.createObjectURL(blob);
+          } else if (Object.keys(importStatus.headers).length > 0) {
+            // the frame would load the page without the headers: use the authenticated response
+            frame.src = createFrameURL(await res.text(), src);
+          } else {
+            frame.src = src;
           }
+
+          const current = getContentFrame(slot);
+          current.removeEventListener('load', onLoad);
+          current.removeEventListener('transformation-complete', next);
+
+          current.replaceWith(frame);
         } else {
-          // eslint-disable-next-line no-console
-          console.warn(`Cannot transform ${src} - page may not exist (status ${res?.status || 'unknown status'})`);
-          alert.error(`Cannot transform ${src} - page may not exist (status ${res?.status || 'unknown status'})`);
-          importStatus.rows.push({
+          const row = await importAsset(res, src, {
+            index,
             url,
-            status: `Invalid: ${res?.status || 'unknown status'}`,
+            attempts,
+            contentType,
+          });
+          if (done) return;
+          addReportRow(row);
+          updateImporterUI([{ status: 'asset', contentType }], url, index);
+          next();
+        }
+      }
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn(`Cannot transform ${src} - page may not exist (status ${res?.status || 'unknown status'})`);
+      alert.error(`Cannot transform ${src} - page may not exist (status ${res?.status || 'unknown status'})`);
+      addReportRow({
+        index,
+        url,
+        attempts,
+        status: `Invalid: ${res?.status || 'unknown status'}`,
+      });
+      updateImporterUI([{ status: 'error' }], url, index);
+      next();
+    }
+  } else {
+    importStatus.activeSlots -= 1;
+    if (importStatus.activeSlots === 0) {
+      await Promise.allSettled([...importStatus.pendingSaves]);
+      if (IS_BULK && !isCompareMode()) {
+        try {
+          await config.importers[0].onComplete({
+            rows: [...importStatus.rows].sort((a, b) => a.index - b.index),
+            cancelled: importStatus.cancelled,
+            saveFile: saveHookFile,
+            files: importStatus.importFiles,
           });
-          updateImporterUI([{ status: 'error' }], url);
-          processNext();
+        } catch (e) {
+          // eslint-disable-next-line no-console
+          console.error('onComplete of the import.js failed', e);
+          alert.error(`onComplete of the import.js failed: ${e.message}`);
         }
+      }
+      await postImportStep();
+      if (IS_BULK) {
+        await clearImportState();
+      }
+      if (IS_BULK) {
+        clearInterval(importStatus.progressInterval);
+        updateProgressUI();
+      }
+      if (dirHandle instanceof ZipArchive) {
+        if (dirHandle.writable) {
+          try {
+            await dirHandle.close();
+            alert.success(`ZIP archive ${dirHandle.name} saved`);
+          } catch (e) {
+            // eslint-disable-next-line no-console
+            console.error(`Failed to save the ZIP archive ${dirHandle.name}`, e);
+            alert.error(`Failed to save the ZIP archive ${dirHandle.name}: ${e.message}`);
+          }
+        } else {
+          downloadBlob(await dirHandle.toBlob(), dirHandle.name);
+        }
+        dirHandle = null;
+        FOLDERNAME_SPAN.classList.add('hidden');
+      }
+      if (importStatus.cancelled) {
+        BULK_URLS_HEADING.innerText = `Import cancelled (${importStatus.imported} / ${importStatus.total}) - remaining URLs are marked as skipped in the report`;
+      }
+      DOWNLOAD_IMPORT_REPORT_BUTTON.classList.remove('hidden');
+      if (IS_BULK) {
+        updateRetryFailedButton();
+      }
+      toggleRunControls(false);
+      enableProcessButtons();
+      toggleLoadingButton(IMPORT_BUTTON);
+    }
+  }
+};
+
+/**
+ * Keeps the pages successfully crawled of a crawl report, the other tables are unchanged.
+ * @param {Array<string>} headers The column headers.
+ * @param {Array<Array<string>>} rows The data rows.
+ * @returns {Array<Array<string>>} The rows to import.
+ */
+const filterCrawledRows = (headers, rows) => {
+  if (!headers.includes(CRAWL_REPORT_HEADER)) return rows;
+  const status = headers.indexOf('status');
+  return rows.filter((row) => !row[status] || row[status] === 'Success');
+};
+
+/**
+ * Converts table rows into the entries to import: the URL and the values of
+ * the other named columns, used as additional params for the import.js (keyed by column
+ * header). The crawl information of a crawl report is left out.
+ * @param {Array<string>} headers The column headers.
+ * @param {Array<Array<string>>} rows The data rows.
+ * @param {number} column The index of the URL column.
+ * @returns {Array<Object>} The { url, params } entries.
+ */
+const toInputEntries = (headers, rows, column) => {
+  const ignored = headers.includes(CRAWL_REPORT_HEADER) ? CRAWL_REPORT_COLUMNS : [];
+  return rows.map((row) => {
+    const params = {};
+    headers.forEach((header, i) => {
+      const value = row[i];
+      if (i !== column && header && !ignored.includes(header)
+        && value !== undefined && `${value}`.trim() !== '') {
+        params[header] = `${value}`.trim();
+      }
+    });
+    return { url: `${row[column] || ''}`.trim(), params };
+  })
+    .filter(({ url }) => url !== '');
+};
+
+/**
+ * Returns the list of entries to import: from the loaded file if any, from the URL(s) field
+ * otherwise. In bulk mode, the field accepts tab separated values (as pasted from a spreadsheet)
+ * with a header row naming the `URL` column to provide params per URL.
+ * @returns {Array<Object>} The { url, params } entries.
+ */
+const getInputEntries = () => {
+  if (IS_BULK && config.urlsFile) {
+    const { headers, rows, column } = config.urlsFile;
+    return toInputEntries(headers, rows, column);
+  }
+  if (!IS_BULK) {
+    const url = config.fields['import-url'].trim();
+    // the params given with the workbench URL only apply to this URL
+    const params = config.workbench?.url === url ? config.workbench.params : {};
+    return url ? [{ url, params }] : [];
+  }
+  const { headers, rows } = toTable(parseCSV(config.fields['import-urls'], '\t'));
+  const crawled = filterCrawledRows(headers, rows);
+  return toInputEntries(headers, crawled, findURLColumn(headers, crawled));
+};
+
+const updateURLsFileInfo = () => {
+  URLS_FILE_INFO.innerText = `${getInputEntries().length} URL(s) loaded from ${config.urlsFile.name}`;
+};
+
+const clearURLsFile = () => {
+  config.urlsFile = null;
+  URLS_FILE_INPUT.value = '';
+  URLS_FIELD.disabled = false;
+  [URLS_COLUMN_PICKER, URLS_FILE_CLEAR_BUTTON, URLS_FILE_INFO].forEach((el) => el.classList.add('hidden'));
+};
+
+/**
+ * Loads the URLs to import from a text, CSV or Excel file (like the crawl report).
+ * @param {File} file The file selected by the user.
+ */
+const loadURLsFile = async (file) => {
+  let table;
+  try {
+    table = await readTable(file);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to read ${file.name}`, e);
+    alert.error(`Failed to read ${file.name}: ${e.message}`);
+    clearURLsFile();
+    return;
+  }
+
+  const { headers } = table;
+  // crawl report: only the pages successfully crawled can be imported
+  const rows = filterCrawledRows(headers, table.rows);
+
+  config.urlsFile = {
+    name: file.name,
+    headers,
+    rows,
+    column: findURLColumn(headers, rows),
+  };
+
+  URLS_COLUMN_PICKER.textContent = '';
+  headers.forEach((header, i) => {
+    const item = document.createElement('sp-menu-item');
+    item.setAttribute('value', `${i}`);
+    item.textContent = header || `Column ${i + 1}`;
+    URLS_COLUMN_PICKER.append(item);
+  });
+  URLS_COLUMN_PICKER.value = `${config.urlsFile.column}`;
+
+  URLS_FIELD.disabled = true;
+  [URLS_COLUMN_PICKER, URLS_FILE_CLEAR_BUTTON, URLS_FILE_INFO].forEach((el) => el.classList.remove('hidden'));
+  updateURLsFileInfo();
+};
+
+const showFolderName = () => {
+  FOLDERNAME_SPAN.innerText = isCompareMode()
+    ? `Comparing with the file(s) of: ${dirHandle.name}`
+    : `Saving file(s) to: ${dirHandle.name}`;
+  FOLDERNAME_SPAN.classList.remove('hidden');
+};
+
+const isZipOutput = () => config.fields['import-save-as-zip'] || !isFileSystemAccessSupported();
+
+/**
+ * Selects where the files are saved: a local folder or, if the File System Access API
+ * is not available or if requested, a ZIP archive. With the File System Access API, the
+ * archive is written to the selected file during the import, otherwise it is built in memory
+ * and downloaded at the end of the import.
+ */
+const selectOutputTarget = async () => {
+  if (isZipOutput()) {
+    const name = `import-${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+    if (typeof window.showSaveFilePicker !== 'function') {
+      dirHandle = new ZipArchive(name);
+      showFolderName();
+      return;
+    }
+    try {
+      const fileHandle = await window.showSaveFilePicker({
+        suggestedName: name,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+      });
+      dirHandle = new ZipArchive(fileHandle.name, await fileHandle.createWritable());
+      showFolderName();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.log('No file selected');
+    }
+    return;
+  }
+
+  try {
+    dirHandle = await getDirectoryHandle();
+    await dirHandle.requestPermission({
+      mode: 'readwrite',
+    });
+    showFolderName();
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log('No directory selected');
+  }
+};
+
+/**
+ * Selects the folder of a previous import to compare with (read only).
+ * @returns {Promise<boolean>} True if a folder is selected.
+ */
+const selectCompareFolder = async () => {
+  if (!isFileSystemAccessSupported()) {
+    alert.error('The compare mode requires a browser supporting the File System Access API');
+    return false;
+  }
+  if (dirHandle && !(dirHandle instanceof ZipArchive)) {
+    showFolderName();
+    return true;
+  }
+  try {
+    dirHandle = await getDirectoryHandle();
+    showFolderName();
+    return true;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log('No directory selected');
+    return false;
+  }
+};
+
+const prepareImportUI = () => {
+  if (IS_BULK) {
+    clearResultPanel();
+    RESUME_RUN_BUTTON.classList.add('hidden');
+    RESUME_RUN_INFO.classList.add('hidden');
+    if (config.fields['import-show-preview']) {
+      PREVIEW_CONTAINER.classList.remove('hidden');
+    } else {
+      PREVIEW_CONTAINER.classList.add('hidden');
+    }
+    DOWNLOAD_IMPORT_REPORT_BUTTON.classList.remove('hidden');
+  } else {
+    DOWNLOAD_IMPORT_REPORT_BUTTON.classList.add('hidden');
+    PREVIEW_CONTAINER.classList.remove('hidden');
+    hideErrorPanel();
+  }
+
+  disableProcessButtons();
+  toggleLoadingButton(IMPORT_BUTTON);
+};
+
+/**
+ * Starts importing the given URLs with the configured number of concurrent slots.
+ * @param {Array} urls The list of { url, index } to import, index being the position
+ * of the URL in the input list.
+ */
+const startImport = async (urls) => {
+  importStatus.queue = [...urls].reverse();
+  importStatus.total = importStatus.urls.length;
+
+  const poolSize = IS_BULK ? Math.max(1, Number(config.fields['import-concurrency']) || 1) : 1;
+  await setupImportPool(poolSize);
+
+  scheduler.configure({
+    minDelay: config.fields['import-throttle-delay'],
+    maxPerMinute: config.fields['import-throttle-rpm'],
+  });
+  importStatus.activeSlots = poolSize;
+
+  toggleRunControls(true);
+  persistImportState();
+  importStatus.startTime = Date.now();
+  if (IS_BULK) {
+    importStatus.progress = new ImportProgress({
+      total: importStatus.total,
+      done: importStatus.total - urls.length,
+      startTime: importStatus.startTime,
+    });
+    // pages imported by a previous run, skipped because already imported or not re-run
+    importStatus.rows
+      .filter((row) => row.index < importStatus.total)
+      .forEach((row) => importStatus.progress.count(row.status));
+    updateProgressUI();
+    importStatus.progressInterval = setInterval(updateProgressUI, 1000);
+    RETRY_FAILED_BUTTON.classList.add('hidden');
+  }
+  for (let slot = 0; slot < poolSize; slot += 1) {
+    processNext(slot);
+  }
+};
+
+/**
+ * Imports again some URLs of the current bulk import: their report rows are replaced and
+ * their rows in the results table are updated in place. If the import is still running,
+ * the URLs are imported after the ones already queued.
+ * @param {Array} entries The list of { url, index, params } to import again.
+ */
+const rerunURLs = async (entries) => {
+  if (importStatus.activeSlots === 0 && (!prepareRequestHeaders() || !prepareRoutes())) return;
+
+  const indexes = new Set(entries.map(({ index }) => index));
+  const imported = entries.filter(({ index }) => getResultRow(index)
+    && getResultRow(index).dataset.status !== 'pending').length;
+  importStatus.rows = importStatus.rows.filter((row) => !indexes.has(row.index));
+  indexReportRows();
+  importState.reset();
+  entries.forEach(({ url, index }) => renderResultRow(url, index));
+
+  if (importStatus.activeSlots > 0) {
+    // the re-run pages are imported once more: add them to the total, like to the progress
+    importStatus.queue.unshift(...[...entries].reverse());
+    importStatus.total += entries.length;
+    if (importStatus.progress) {
+      importStatus.progress.total += entries.length;
+    }
+    updateProgressUI();
+    persistImportState();
+    return;
+  }
+
+  // the next run imports the re-run pages out of all the URLs
+  importStatus.imported -= imported;
+  importStatus.paused = false;
+  importStatus.cancelled = false;
+  disableProcessButtons();
+  toggleLoadingButton(IMPORT_BUTTON);
+
+  isSaveLocal = !isCompareMode() && getSaveFormats().length > 0;
+  if (isSaveLocal && !dirHandle && isZipOutput()) {
+    await selectOutputTarget();
+  }
+  await startImport(entries);
+};
+
+/**
+ * Opens a URL of the bulk import in the workbench (new tab), with its params.
+ * @param {Object} entry The { url, params } to open.
+ */
+const openInWorkbench = ({ url, params = {} }) => {
+  const u = new URL('import.html', window.location.href);
+  u.searchParams.set('url', url);
+  if (Object.keys(params).length > 0) {
+    u.searchParams.set('params', JSON.stringify(params));
+  }
+  window.open(u.toString(), '_blank');
+};
+
+/**
+ * Resumes the bulk import run saved in IndexedDB, importing only the URLs
+ * which have no row in the report yet.
+ */
+const resumeImportRun = async () => {
+  const run = await importState.load();
+  if (!run) return;
+
+  initImportStatus();
+  setOptionFields(config.fields, CONFIG_PARENT_SELECTOR, run.options);
+  if (!prepareRequestHeaders() || !prepareRoutes()) return;
+  await Promise.all(config.importers.map(
+    (importer) => importer.setImportFileURL(config.fields['import-file-url']),
+  ));
+
+  prepareImportUI();
+
+  importStatus.urls = run.urls;
+  importStatus.rows = run.rows;
+  indexReportRows();
+  run.rows.forEach(({ importFile }) => importFile && importStatus.importFiles.add(importFile));
+  importStatus.extraCols = run.extraCols;
+
+  isSaveLocal = !isCompareMode() && getSaveFormats().length > 0;
+  if (run.dirHandle) {
+    try {
+      await run.dirHandle.requestPermission({
+        mode: 'readwrite',
+      });
+      dirHandle = run.dirHandle;
+      showFolderName();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error(`Cannot access the folder ${run.dirHandle.name} anymore`, e);
+    }
+  } else if (isSaveLocal && isZipOutput()) {
+    await selectOutputTarget();
+    if (importStatus.rows.length > 0) {
+      // the files of the imported pages were in the archive of the interrupted run
+      alert.info(`The ZIP archive of the interrupted run is lost: importing the ${importStatus.urls.length} URLs again`);
+      importStatus.rows = [];
+      indexReportRows();
+      importStatus.importFiles.clear();
+    }
+  }
+
+  const done = new Set(importStatus.rows.map((row) => row.index));
+  importStatus.imported = done.size;
+
+  await startImport(importStatus.urls.filter(({ index }) => !done.has(index)));
+};
+
+const checkPreviousImportRun = async () => {
+  try {
+    const run = await importState.load();
+    if (run) {
+      const done = new Set(run.rows.map((row) => row.index));
+      RESUME_RUN_INFO.innerText = `A previous import run was interrupted (${done.size} / ${run.urls.length} URLs imported).`;
+      RESUME_RUN_INFO.classList.remove('hidden');
+      RESUME_RUN_BUTTON.classList.remove('hidden');
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load the previous import state', e);
+  }
+};
+
+const createDiffCells = (entry, side, type) => {
+  const number = document.createElement('td');
+  number.className = 'line-number';
+  const text = document.createElement('td');
+  if (entry) {
+    number.textContent = entry[side];
+    text.textContent = entry.line;
+    if (entry.type === type) text.className = `diff-${type}`;
+  }
+  return [number, text];
+};
+
+const createDiffInfoRow = (className, content) => {
+  const tr = document.createElement('tr');
+  tr.className = className;
+  const td = document.createElement('td');
+  td.colSpan = 4;
+  td.textContent = content;
+  tr.append(td);
+  return tr;
+};
+
+/**
+ * Shows the side by side diff of the changed files of a page in compare mode:
+ * the file in the selected folder on the left, the new Markdown on the right.
+ * @param {number} index The position of the URL in the input list.
+ */
+const showComparison = async (index) => {
+  const rows = getPageRows(index)
+    .filter(({ path }) => importStatus.comparisons[`${index}:${path}`] !== undefined);
+  COMPARE_TITLE.textContent = `Changes of ${importStatus.urls[index].url}`;
+  COMPARE_BODY.textContent = '';
+
+  await asyncForEach(rows, async ({ path }) => {
+    COMPARE_BODY.append(createDiffInfoRow('diff-file', path));
+    try {
+      const existing = await readExistingMarkdown(path);
+      const diff = diffLines(
+        normalizeText(existing?.md),
+        normalizeText(importStatus.comparisons[`${index}:${path}`]),
+      );
+      getHunks(diff).forEach((hunk, i) => {
+        if (i > 0) COMPARE_BODY.append(createDiffInfoRow('diff-separator', '...'));
+        toSideBySide(hunk).forEach(({ left, right }) => {
+          const tr = document.createElement('tr');
+          tr.append(...createDiffCells(left, 'a', 'removed'), ...createDiffCells(right, 'b', 'added'));
+          COMPARE_BODY.append(tr);
+        });
+      });
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to compare ${path}`, e);
+      COMPARE_BODY.append(createDiffInfoRow('diff-separator', `Cannot read the existing file: ${e.message}`));
+    }
+  });
+
+  COMPARE_PANEL.classList.remove('hidden');
+  COMPARE_PANEL.scrollIntoView({ behavior: 'smooth' });
+};
+
+const attachListeners = () => {
+  attachOptionFieldsListeners(config.fields, PARENT_SELECTOR);
+
+  IMPORT_BUTTON.addEventListener('click', (async () => {
+    initImportStatus();
+    if (!prepareRequestHeaders() || !prepareRoutes()) return;
+    if (isCompareMode() && !await selectCompareFolder()) return;
+    prepareImportUI();
+
+    isSaveLocal = !isCompareMode() && getSaveFormats().length > 0;
+    if (isSaveLocal && (!dirHandle || isZipOutput())) {
+      await selectOutputTarget();
+    }
+
+    importStatus.urls = getInputEntries().map(({ url, params }, index) => ({ url, index, params }));
+
+    let { urls } = importStatus;
+    if (IS_BULK && config.fields['import-only-new'] && !isCompareMode()) {
+      // a new ZIP archive has no import report
+      if (!dirHandle || dirHandle instanceof ZipArchive) {
+        alert.warning('Only import new or failed URLs has no effect without an output folder: importing all the URLs');
       } else {
-        const frame = getContentFrame();
-        frame.removeEventListener('transformation-complete', processNext);
-        DOWNLOAD_IMPORT_REPORT_BUTTON.classList.remove('hidden');
-        enableProcessButtons();
-        toggleLoadingButton(IMPORT_BUTTON);
+        urls = await excludeImportedURLs(urls);
+        if (importStatus.imported > 0) {
+          alert.info(`Skipping ${importStatus.imported} URL(s) already imported into ${dirHandle.name}`);
+        }
       }
-    };
-    processNext();
+    }
+
+    await startImport(urls);
   }));
 
+  if (IS_BULK) {
+    URLS_FILE_BUTTON.addEventListener('click', () => URLS_FILE_INPUT.click());
+
+    URLS_FILE_INPUT.addEventListener('change', async () => {
+      const [file] = URLS_FILE_INPUT.files;
+      if (file) {
+        await loadURLsFile(file);
+      }
+    });
+
+    URLS_COLUMN_PICKER.addEventListener('change', (e) => {
+      config.urlsFile.column = Number(e.target.value);
+      updateURLsFileInfo();
+    });
+
+    URLS_FILE_CLEAR_BUTTON.addEventListener('click', clearURLsFile);
+
+    RESUME_RUN_BUTTON.addEventListener('click', resumeImportRun);
+
+    PAUSE_BUTTON.addEventListener('click', () => {
+      importStatus.paused = true;
+      persistImportState();
+      PAUSE_BUTTON.classList.add('hidden');
+      RESUME_BUTTON.classList.remove('hidden');
+      alert.info('Import paused - the pages currently loading will complete first.');
+    });
+
+    RESUME_BUTTON.addEventListener('click', () => {
+      importStatus.paused = false;
+      RESUME_BUTTON.classList.add('hidden');
+      PAUSE_BUTTON.classList.remove('hidden');
+      const slots = importStatus.pausedSlots;
+      importStatus.pausedSlots = [];
+      slots.forEach((slot) => processNext(slot));
+    });
+
+    CANCEL_BUTTON.addEventListener('click', () => {
+      importStatus.cancelled = true;
+      PAUSE_BUTTON.disabled = true;
+      RESUME_BUTTON.disabled = true;
+      CANCEL_BUTTON.disabled = true;
+      alert.info('Import cancelled - the pages currently loading will complete first.');
+      // paused slots must run once more to finalize the import
+      const slots = importStatus.pausedSlots;
+      importStatus.pausedSlots = [];
+      slots.forEach((slot) => processNext(slot));
+    });
+
+    STATUS_FILTER.addEventListener('change', () => applyResultFilters());
+    SEARCH_FIELD.addEventListener('input', () => applyResultFilters());
+
+    BULK_RESULTS_BODY.addEventListener('click', (e) => {
+      const button = e.target.closest('sp-action-button');
+      if (!button || button.disabled) return;
+      const index = Number(button.closest('tr').dataset.index);
+      const entry = importStatus.urls[index];
+      if (button.dataset.action === 'workbench') {
+        openInWorkbench(entry);
+      } else if (button.dataset.action === 'rerun') {
+        rerunURLs([entry]);
+      } else if (button.dataset.action === 'diff') {
+        showComparison(index);
+      }
+    });
+
+    COMPARE_CLOSE_BUTTON.addEventListener('click', () => COMPARE_PANEL.classList.add('hidden'));
+
+    RETRY_FAILED_BUTTON.addEventListener('click', () => {
+      RETRY_FAILED_BUTTON.classList.add('hidden');
+      rerunURLs(getFailedURLs());
+    });
+  }
+
+  CUSTOM_HEADERS_FIELD.addEventListener('input', () => {
+    try {
+      parseCustomHeaders(CUSTOM_HEADERS_FIELD.value);
+      CUSTOM_HEADERS_FIELD.invalid = false;
+    } catch (e) {
+      CUSTOM_HEADERS_FIELD.invalid = true;
+    }
+  });
+
+  ROUTES_FIELD.addEventListener('change', () => {
+    try {
+      parseRoutes(ROUTES_FIELD.value);
+      ROUTES_FIELD.invalid = false;
+    } catch (e) {
+      ROUTES_FIELD.invalid = true;
+    }
+  });
+
+  ROUTES_FILE_BUTTON.addEventListener('click', () => ROUTES_FILE_INPUT.click());
+
+  ROUTES_FILE_INPUT.addEventListener('change', async () => {
+    const [file] = ROUTES_FILE_INPUT.files;
+    ROUTES_FILE_INPUT.value = '';
+    if (!file) return;
+    const text = await file.text();
+    try {
+      parseRoutes(text);
+    } catch (e) {
+      alert.error(`${file.name}: ${e.message}`);
+      return;
+    }
+    setOptionFields(config.fields, CONFIG_PARENT_SELECTOR, { 'import-routes': text });
+    ROUTES_FIELD.invalid = false;
+    alert.success(`Routes loaded from ${file.name}`);
+  });
+
   IMPORTFILEURL_FIELD.addEventListener('change', async (event) => {
-    if (config.importer) {
-      await config.importer.setImportFileURL(event.target.value);
+    if (config.importers.length > 0) {
+      await Promise.all(config.importers.map(
+        (importer) => importer.setImportFileURL(event.target.value),
+      ));
     }
   });
 
   DOWNLOAD_IMPORT_REPORT_BUTTON.addEventListener('click', (async () => {
     const buffer = await getReport();
-    const a = document.createElement('a');
     const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-    a.setAttribute('href', URL.createObjectURL(blob));
-    a.setAttribute('download', REPORT_FILENAME);
-    a.click();
+    downloadBlob(blob, isCompareMode() ? COMPARE_REPORT_FILENAME : REPORT_FILENAME);
   }));
 
+  if (!IS_BULK) {
+    ERROR_CLOSE_BUTTON.addEventListener('click', hideErrorPanel);
+  }
+
   if (SPTABS) {
     SPTABS.addEventListener('change', () => {
       // required for code to load in editors
@@ -634,14 +2235,105 @@ const attachListeners = () => {
   }
 };
 
+/**
+ * Loads the transformation files from a local folder, or from the server again.
+ * @param {FileSystemDirectoryHandle} handle The local folder, null to stop watching.
+ */
+const watchLocalFolder = async (handle) => {
+  config.localFolder = handle;
+  LOCAL_FOLDER_BUTTON.textContent = 'Watch local folder';
+  LOCAL_FOLDER_BUTTON.classList.toggle('hidden', !!handle);
+  LOCAL_FOLDER_STOP_BUTTON.classList.toggle('hidden', !handle);
+  if (handle) {
+    LOCAL_FOLDER_STOP_BUTTON.textContent = `Stop watching ${handle.name}`;
+    await setItem('import-local-folder', handle);
+  } else {
+    await removeItem('import-local-folder');
+  }
+  await Promise.all(config.importers.map((importer) => importer.setLocalFolder(handle)));
+};
+
+const attachLocalFolderListeners = async () => {
+  if (!isFileSystemAccessSupported()) {
+    LOCAL_FOLDER_BUTTON.classList.add('hidden');
+    return;
+  }
+
+  // the folder of the previous session: the browser asks again for the permission to read it
+  let previous = await getItem('import-local-folder').catch(() => null);
+  if (previous) {
+    if (await previous.queryPermission({ mode: 'read' }) === 'granted') {
+      await watchLocalFolder(previous);
+    } else {
+      LOCAL_FOLDER_BUTTON.textContent = `Watch local folder ${previous.name}`;
+    }
+  }
+
+  LOCAL_FOLDER_BUTTON.addEventListener('click', async () => {
+    try {
+      let handle;
+      if (previous && await previous.requestPermission({ mode: 'read' }) === 'granted') {
+        handle = previous;
+      } else {
+        handle = await getDirectoryHandle();
+      }
+      previous = null;
+      await watchLocalFolder(handle);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.log('No directory selected');
+    }
+  });
+
+  LOCAL_FOLDER_STOP_BUTTON.addEventListener('click', () => watchLocalFolder(null));
+};
+
 const init = () => {
   config.origin = window.location.origin;
   config.fields = initOptionFields(CONFIG_PARENT_SELECTOR);
+  config.importers = [];
+  try {
+    config.routes = parseRoutes(config.fields['import-routes']);
+  } catch (e) {
+    config.routes = [];
+  }
+
+  if (!isFileSystemAccessSupported()) {
+    // the ZIP archive is the only output available
+    SAVE_AS_ZIP_FIELD.checked = true;
+    SAVE_AS_ZIP_FIELD.disabled = true;
+    config.fields['import-save-as-zip'] = true;
+    if (IS_BULK) {
+      // nothing to compare with in an archive
+      COMPARE_FIELD.checked = false;
+      COMPARE_FIELD.disabled = true;
+      config.fields['import-compare'] = false;
+    }
+  }
 
   createImporter();
 
   if (!IS_BULK) setupUI();
   attachListeners();
+  if (!IS_BULK) attachLocalFolderListeners();
+
+  const searchParams = new URLSearchParams(window.location.search);
+  if (!IS_BULK && searchParams.has('url')) {
+    // opened from the bulk import results: import the given URL with its params,
+    // without replacing the URL saved in the options
+    const url = searchParams.get('url').trim();
+    URL_FIELD.value = url;
+    config.fields['import-url'] = url;
+    try {
+      config.workbench = { url, params: JSON.parse(searchParams.get('params') || '{}') };
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Invalid params in the workbench URL', e);
+    }
+    IMPORT_BUTTON.click();
+  }
+
+  if (IS_BULK) checkPreviousImportRun();
 };
 
 init();
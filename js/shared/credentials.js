@@ -0,0 +1,138 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// ids of the fields of the credentials panel, shared by all the tools
+const CREDENTIALS_FIELDS = {
+  type: 'credentials-type',
+  username: 'credentials-username',
+  password: 'credentials-password',
+  token: 'credentials-token',
+};
+
+// headers a script cannot set: the browser silently drops them
+const FORBIDDEN_HEADERS = ['cookie', 'cookie2', 'host', 'origin', 'referer'];
+
+const toBase64 = (value) => btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+
+/**
+ * Parses the custom headers option. The headers a script cannot set (see FORBIDDEN_HEADERS)
+ * are left out: cookies are not supported, they can only be set by the proxy.
+ * @param {string} value The custom headers, as a JSON object.
+ * @param {Array<string>} ignored Receives the names of the headers left out.
+ * @returns {Object} The headers.
+ * @throws {Error} If the value is not a JSON object of string values.
+ */
+const parseCustomHeaders = (value, ignored = []) => {
+  if (!value || !value.trim()) return {};
+
+  let headers;
+  try {
+    headers = JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid custom headers: ${e.message}`);
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('Invalid custom headers: must be a JSON object of header name / header value');
+  }
+  const invalid = Object.keys(headers).find((name) => typeof headers[name] !== 'string');
+  if (invalid) {
+    throw new Error(`Invalid custom headers: the value of ${invalid} must be a string`);
+  }
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => {
+    if (FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+      ignored.push(name);
+      return false;
+    }
+    return true;
+  }));
+};
+
+/**
+ * Converts credentials into request headers.
+ * @param {Object} credentials The authentication `type` (none, basic or bearer),
+ * the `username` and `password` (basic) and the `token` (bearer).
+ * @returns {Object} The headers.
+ */
+const getCredentialsHeaders = ({
+  type, username = '', password = '', token = '',
+} = {}) => {
+  const headers = {};
+  if (type === 'basic' && (username || password)) {
+    headers.Authorization = `Basic ${toBase64(`${username}:${password}`)}`;
+  } else if (type === 'bearer' && token.trim()) {
+    headers.Authorization = `Bearer ${token.trim()}`;
+  }
+  return headers;
+};
+
+/**
+ * Reads the credentials panel of the page.
+ * @returns {Object} The credentials (see getCredentialsHeaders).
+ */
+const readCredentials = () => {
+  const credentials = {};
+  Object.entries(CREDENTIALS_FIELDS).forEach(([key, id]) => {
+    const field = document.getElementById(id);
+    if (field) {
+      credentials[key] = field.value || '';
+    }
+  });
+  return credentials;
+};
+
+/**
+ * Returns the headers to send with every request to the remote host: the custom headers
+ * and the headers of the credentials panel (which take precedence).
+ * @param {string} customHeaders The custom headers option, as a JSON object.
+ * @param {Array<string>} ignored Receives the names of the custom headers left out.
+ * @returns {Object} The headers.
+ * @throws {Error} If the custom headers are invalid.
+ */
+const getRequestHeaders = (customHeaders, ignored = []) => ({
+  ...parseCustomHeaders(customHeaders, ignored),
+  ...getCredentialsHeaders(readCredentials()),
+});
+
+/**
+ * Adds a base element to an HTML document, so that relative URLs resolve against the base URL.
+ * @param {string} html The HTML document.
+ * @param {string} baseURL The base URL.
+ * @returns {string} The HTML document.
+ */
+const addBaseURL = (html, baseURL) => {
+  const base = `<base href="${baseURL.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">`;
+  const head = html.match(/<head(\s[^>]*)?>/i);
+  if (head) {
+    const index = head.index + head[0].length;
+    return `${html.slice(0, index)}${base}${html.slice(index)}`;
+  }
+  return `${base}${html}`;
+};
+
+/**
+ * Creates the URL to load an authenticated page in a frame. A frame cannot send custom headers,
+ * it is loaded from the content fetched with the headers instead.
+ * @param {string} html The page content.
+ * @param {string} url The page URL (through the proxy), used to resolve the relative URLs.
+ * @returns {string} The URL of the content.
+ */
+const createFrameURL = (html, url) => URL.createObjectURL(new Blob([addBaseURL(html, url)], { type: 'text/html' }));
+
+export {
+  CREDENTIALS_FIELDS,
+  addBaseURL,
+  createFrameURL,
+  getCredentialsHeaders,
+  getRequestHeaders,
+  parseCustomHeaders,
+  readCredentials,
+};
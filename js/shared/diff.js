@@ -0,0 +1,164 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Normalizes a text before a comparison: line endings, trailing spaces and empty last lines.
+ * @param {string} text The text.
+ * @returns {string} The normalized text.
+ */
+const normalizeText = (text) => `${text || ''}`
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map((line) => line.trimEnd())
+  .join('\n')
+  .trim();
+
+// maximum size of the comparison table (lines of a x lines of b): 40MB
+const MAX_DIFF_SIZE = 10000000;
+
+/**
+ * Computes the line diff of 2 texts (longest common subsequence). Beyond `maxSize`, the
+ * changed part of the texts is not compared line by line: all its lines are listed as removed,
+ * then as added.
+ * @param {string} a The original text (e.g. the expected Markdown).
+ * @param {string} b The new text (e.g. the actual Markdown).
+ * @param {Object} options The `maxSize` of the comparison table.
+ * @returns {Array<Object>} The lines: the `type` (`same`, `removed` or `added`), the `line`
+ * and its line number in the original (`a`) and / or new (`b`) text.
+ */
+const diffLines = (a, b, { maxSize = MAX_DIFF_SIZE } = {}) => {
+  const linesA = a.split('\n');
+  const linesB = b.split('\n');
+
+  // the common first and last lines are not part of the (quadratic) comparison
+  let start = 0;
+  while (start < linesA.length && start < linesB.length && linesA[start] === linesB[start]) {
+    start += 1;
+  }
+  let endA = linesA.length;
+  let endB = linesB.length;
+  while (endA > start && endB > start && linesA[endA - 1] === linesB[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const compare = (n + 1) * (m + 1) <= maxSize;
+  // lengths[i * (m + 1) + j]: LCS length of the lines from i (in a) and j (in b)
+  const lengths = new Uint32Array(compare ? (n + 1) * (m + 1) : 0);
+  const length = (i, j) => lengths[i * (m + 1) + j];
+  for (let i = compare ? n - 1 : -1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * (m + 1) + j] = linesA[start + i] === linesB[start + j]
+        ? length(i + 1, j + 1) + 1
+        : Math.max(length(i + 1, j), length(i, j + 1));
+    }
+  }
+
+  const diff = [];
+  const same = (i, j) => diff.push({
+    type: 'same', line: linesA[i], a: i + 1, b: j + 1,
+  });
+  for (let i = 0; i < start; i += 1) {
+    same(i, i);
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (compare && i < n && j < m && linesA[start + i] === linesB[start + j]) {
+      same(start + i, start + j);
+      i += 1;
+      j += 1;
+    } else if (i < n && (!compare || j === m || length(i + 1, j) >= length(i, j + 1))) {
+      diff.push({ type: 'removed', line: linesA[start + i], a: start + i + 1 });
+      i += 1;
+    } else {
+      diff.push({ type: 'added', line: linesB[start + j], b: start + j + 1 });
+      j += 1;
+    }
+  }
+  for (let k = 0; k < linesA.length - endA; k += 1) {
+    same(endA + k, endB + k);
+  }
+  return diff;
+};
+
+/**
+ * Groups the changes of a diff into hunks, with some unchanged lines around each change.
+ * @param {Array<Object>} diff The diff (see diffLines).
+ * @param {number} context The number of unchanged lines kept around the changes.
+ * @returns {Array<Array<Object>>} The hunks, empty if the texts are the same.
+ */
+const getHunks = (diff, context = 3) => {
+  const keep = diff.map(() => false);
+  diff.forEach((entry, index) => {
+    if (entry.type === 'same') return;
+    const last = Math.min(diff.length - 1, index + context);
+    for (let k = Math.max(0, index - context); k <= last; k += 1) {
+      keep[k] = true;
+    }
+  });
+
+  const hunks = [];
+  let hunk = null;
+  diff.forEach((entry, index) => {
+    if (!keep[index]) {
+      hunk = null;
+      return;
+    }
+    if (!hunk) {
+      hunk = [];
+      hunks.push(hunk);
+    }
+    hunk.push(entry);
+  });
+  return hunks;
+};
+
+/**
+ * Aligns the lines of a diff side by side: the removed lines on the left facing
+ * the added lines on the right, the unchanged lines on both sides.
+ * @param {Array<Object>} diff The diff or a hunk (see diffLines).
+ * @returns {Array<Object>} The rows: the `left` and `right` lines, null when there is none.
+ */
+const toSideBySide = (diff) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i += 1) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+  diff.forEach((entry) => {
+    if (entry.type === 'removed') {
+      removed.push(entry);
+    } else if (entry.type === 'added') {
+      added.push(entry);
+    } else {
+      flush();
+      rows.push({ left: entry, right: entry });
+    }
+  });
+  flush();
+  return rows;
+};
+
+export {
+  diffLines,
+  getHunks,
+  normalizeText,
+  toSideBySide,
+};
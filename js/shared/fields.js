@@ -32,8 +32,25 @@ const initOptionFields = (parent) => {
   return fields;
 };
 
+const setOptionFields = (fields, parent, values) => {
+  const optionFields = getOptionFields(parent);
+  optionFields.forEach((field) => {
+    if (values[field.id] !== undefined) {
+      const value = values[field.id];
+      if (isCheckbox(field)) {
+        field.checked = value;
+      } else {
+        field.value = value;
+      }
+      fields[field.id] = value;
+      localStorage.setItem(`option-field-${field.id}`, value);
+    }
+  });
+};
+
 export {
   getOptionFields,
+  setOptionFields,
   initOptionFields,
   attachOptionFieldsListeners,
 };
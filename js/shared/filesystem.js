@@ -10,12 +10,17 @@
  * governing permissions and limitations under the License.
  */
 import { asyncForEach } from './utils.js';
+import ZipArchive from './zip.js';
 
 async function saveFile(dirHandle, path, content) {
   if (!dirHandle) {
     throw new Error('No directory handle provided');
   }
 
+  if (dirHandle instanceof ZipArchive) {
+    return dirHandle.addFile(path, content);
+  }
+
   let parentDirHandle = dirHandle;
   const folders = path.split('/');
   await asyncForEach(folders, async (folder, i) => {
@@ -34,11 +39,45 @@ async function saveFile(dirHandle, path, content) {
   return writable.close();
 }
 
+async function readFile(dirHandle, path) {
+  if (!dirHandle) {
+    throw new Error('No directory handle provided');
+  }
+
+  if (dirHandle instanceof ZipArchive) {
+    return dirHandle.getFile(path);
+  }
+
+  try {
+    let parentDirHandle = dirHandle;
+    const folders = path.split('/');
+    await asyncForEach(folders, async (folder, i) => {
+      if (folder && i < folders.length - 1) {
+        parentDirHandle = await parentDirHandle.getDirectoryHandle(folder);
+      }
+    });
+
+    const fileHandle = await parentDirHandle.getFileHandle(folders[folders.length - 1]);
+    return fileHandle.getFile();
+  } catch (e) {
+    if (e.name === 'NotFoundError') {
+      return null;
+    }
+    throw e;
+  }
+}
+
 async function getDirectoryHandle() {
   return window.showDirectoryPicker();
 }
 
+function isFileSystemAccessSupported() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
 export {
+  readFile,
   saveFile,
   getDirectoryHandle,
+  isFileSystemAccessSupported,
 };
@@ -0,0 +1,123 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getItem, removeItem, setItem } from './storage.js';
+
+/**
+ * State of a bulk import run saved in IndexedDB, so that it can be resumed after a crash or
+ * a reload. The run (URLs, options, folder) is saved once, the report rows in chunks: a save
+ * only writes the rows added since the previous one. The chunks hold the `id` of their run,
+ * the chunks left over by another run are ignored.
+ */
+export default class ImportState {
+  /**
+   * @param {string} key The key of the run in IndexedDB, the chunks use `key-rows-n`.
+   */
+  constructor(key) {
+    this.key = key;
+    // saves are sequential
+    this.queue = Promise.resolve();
+    this.reset();
+  }
+
+  #getRowsKey(chunk) {
+    return `${this.key}-rows-${chunk}`;
+  }
+
+  /**
+   * Makes the next save write the whole run again, to be called when the saved rows are
+   * replaced or modified.
+   */
+  reset() {
+    this.saved = {
+      id: Math.max(Date.now(), (this.saved?.id || 0) + 1),
+      rows: 0,
+      chunks: 0,
+    };
+  }
+
+  /**
+   * Saves the run, or only its new rows if the run is saved already.
+   * @param {Object} run The `urls`, the report `rows` and `extraCols`, the `options` and the
+   * `dirHandle` of the run.
+   * @returns {Promise} Resolves once saved.
+   * @throws {Error} If the run cannot be saved (e.g. a value which cannot be cloned).
+   */
+  save({
+    urls, rows, extraCols, options, dirHandle,
+  }) {
+    const { saved } = this;
+    const task = async () => {
+      const added = rows.slice(saved.rows);
+      const count = rows.length;
+      if (saved.chunks === 0) {
+        await setItem(this.key, {
+          id: saved.id, urls, options, dirHandle,
+        });
+      } else if (added.length === 0) {
+        return;
+      }
+      await setItem(this.#getRowsKey(saved.chunks), { id: saved.id, rows: added, extraCols });
+      saved.chunks += 1;
+      saved.rows = count;
+    };
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Waits for the pending saves.
+   */
+  async flush() {
+    await this.queue;
+  }
+
+  /**
+   * Loads the saved run.
+   * @returns {Promise<Object>} The run (see save), null if there is none.
+   */
+  async load() {
+    const run = await getItem(this.key);
+    if (!run) return null;
+    const rows = [];
+    let { extraCols } = run;
+    for (let chunk = 0; ; chunk += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const saved = await getItem(this.#getRowsKey(chunk));
+      if (!saved || saved.id !== run.id) break;
+      rows.push(...saved.rows);
+      ({ extraCols } = saved);
+    }
+    return {
+      urls: run.urls,
+      rows,
+      extraCols: extraCols || [],
+      options: run.options,
+      dirHandle: run.dirHandle,
+    };
+  }
+
+  /**
+   * Removes the saved run, once the pending saves are done.
+   */
+  async clear() {
+    await this.flush();
+    await removeItem(this.key);
+    for (let chunk = 0; ; chunk += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await getItem(this.#getRowsKey(chunk)) === undefined) break;
+      // eslint-disable-next-line no-await-in-loop
+      await removeItem(this.#getRowsKey(chunk));
+    }
+    this.reset();
+  }
+}
@@ -0,0 +1,151 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/*
+ * Loads the transformation modules from a local folder (File System Access API) instead of
+ * the server: each module is read from its file handle and imported from a blob URL, its
+ * relative imports being rewritten to the blob URLs of the local files they point to.
+ */
+
+// specifiers of the static imports and exports and of the dynamic imports of a string literal
+const IMPORT_REGEX = /(\bimport\s*\(\s*|\bfrom\s*|\bimport\s+)(['"])([^'"\n]+)\2/g;
+
+/**
+ * Finds the module specifiers imported by a source.
+ * @param {string} source The module source.
+ * @returns {Array<Object>} The `specifier` and its `index` in the source.
+ */
+const findImports = (source) => [...source.matchAll(IMPORT_REGEX)].map((match) => ({
+  specifier: match[3],
+  index: match.index + match[1].length + 1,
+}));
+
+/**
+ * Replaces the module specifiers imported by a source.
+ * @param {string} source The module source.
+ * @param {Function} replace Returns the new specifier, or a falsy value to keep it.
+ * @returns {string} The module source.
+ */
+const rewriteImports = (source, replace) => source.replace(
+  IMPORT_REGEX,
+  (match, prefix, quote, specifier) => `${prefix}${quote}${replace(specifier) || specifier}${quote}`,
+);
+
+/**
+ * Returns the path of a module URL in the local folder.
+ * @param {string} baseURL The URL of the local folder on the server.
+ * @param {string} url The module URL.
+ * @returns {string} The path relative to the folder, null if the URL is outside of the folder.
+ */
+const getLocalPath = (baseURL, url) => {
+  const { origin, pathname } = new URL(url);
+  const base = new URL(baseURL);
+  if (origin !== base.origin || !pathname.startsWith(base.pathname)) return null;
+  return decodeURIComponent(pathname.substring(base.pathname.length));
+};
+
+const getFileHandle = async (dirHandle, path) => {
+  const parts = path.split('/').filter((part) => part && part !== '.');
+  let handle = dirHandle;
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    handle = await handle.getDirectoryHandle(parts[i]);
+  }
+  try {
+    return await handle.getFileHandle(parts[parts.length - 1]);
+  } catch (e) {
+    if (e.name === 'NotFoundError') {
+      throw new Error(`${path} not found in the local folder ${dirHandle.name}`);
+    }
+    throw e;
+  }
+};
+
+/**
+ * Returns the last modification times of local files.
+ * @param {FileSystemDirectoryHandle} dirHandle The local folder.
+ * @param {Array<string>} paths The file paths.
+ * @returns {Promise<Object>} The last modification time by path, 0 if the file does not exist.
+ */
+const getLastModified = async (dirHandle, paths) => {
+  const times = {};
+  await Promise.all(paths.map(async (path) => {
+    try {
+      const file = await (await getFileHandle(dirHandle, path)).getFile();
+      times[path] = file.lastModified;
+    } catch (e) {
+      times[path] = 0;
+    }
+  }));
+  return times;
+};
+
+const createModuleURL = async (dirHandle, baseURL, url, context, stack) => {
+  const path = getLocalPath(baseURL, url);
+  if (context.urls[path]) return context.urls[path];
+  if (stack.includes(path)) {
+    throw new Error(`Circular import of ${path} is not supported in a local folder`);
+  }
+
+  const file = await (await getFileHandle(dirHandle, path)).getFile();
+  context.files[path] = file.lastModified;
+  const source = await file.text();
+
+  const specifiers = {};
+  const imports = findImports(source).filter(({ specifier }) => /^\.{0,2}\//.test(specifier));
+  for (let i = 0; i < imports.length; i += 1) {
+    const { specifier } = imports[i];
+    const depURL = new URL(specifier, url).href;
+    // modules outside of the folder are loaded from the server
+    specifiers[specifier] = getLocalPath(baseURL, depURL) === null
+      ? depURL
+      // eslint-disable-next-line no-await-in-loop
+      : await createModuleURL(dirHandle, baseURL, depURL, context, [...stack, path]);
+  }
+
+  const blob = new Blob([rewriteImports(source, (specifier) => specifiers[specifier])], { type: 'text/javascript' });
+  context.urls[path] = URL.createObjectURL(blob);
+  return context.urls[path];
+};
+
+/**
+ * Imports a module and the modules it imports from a local folder.
+ * @param {FileSystemDirectoryHandle} dirHandle The local folder.
+ * @param {string} baseURL The URL of the local folder on the server.
+ * @param {string} url The module URL on the server.
+ * @param {Object} files Receives the last modification time of each file read, by path
+ * (also when the import fails, to know when to retry).
+ * @returns {Promise<Object>} The module `namespace`, the blob `urls` of the modules, to revoke
+ * when the modules are no longer used, and the local `paths` of the modules by blob URL.
+ */
+const importLocalModule = async (dirHandle, baseURL, url, files = {}) => {
+  const context = { files, urls: {} };
+  try {
+    const moduleURL = await createModuleURL(dirHandle, baseURL, url, context, []);
+    const namespace = await import(moduleURL);
+    const paths = Object.fromEntries(
+      Object.entries(context.urls).map(([path, blobURL]) => [blobURL, path]),
+    );
+    return { namespace, urls: Object.values(context.urls), paths };
+  } catch (e) {
+    Object.values(context.urls).forEach((blobURL) => URL.revokeObjectURL(blobURL));
+    throw e;
+  }
+};
+
+export {
+  findImports,
+  getLastModified,
+  getLocalPath,
+  importLocalModule,
+  rewriteImports,
+};
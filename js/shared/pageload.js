@@ -0,0 +1,149 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { sleep } from './utils.js';
+
+/**
+ * Page load strategies:
+ * - `delay`: waits for a fixed `delay`
+ * - `selector`: waits until an element matches the CSS `selector`
+ * - `idle`: waits until neither the DOM nor the network activity changed for `quietTime`
+ *   (the network activity being the completed requests: a request still in progress, e.g. a
+ *   slow XHR / fetch, is not seen until it completes)
+ * The `selector` and `idle` strategies wait at most `timeout` milliseconds.
+ */
+const DEFAULT_LOAD_STRATEGY = {
+  type: 'delay',
+  delay: 100,
+  selector: '',
+  quietTime: 500,
+  timeout: 10000,
+};
+
+const MUTATIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  characterData: true,
+};
+
+/**
+ * Waits until an element of the page matches the selector.
+ * @param {Window} win The window of the page.
+ * @param {string} selector The CSS selector.
+ * @param {number} timeout The maximum time to wait, in milliseconds.
+ * @returns {Promise<boolean>} True if the element was found before the timeout.
+ */
+const waitForSelector = (win, selector, timeout) => new Promise((resolve) => {
+  const { document } = win;
+  if (document.querySelector(selector)) {
+    resolve(true);
+    return;
+  }
+
+  let timer;
+  const observer = new win.MutationObserver(() => {
+    if (document.querySelector(selector)) {
+      clearTimeout(timer);
+      observer.disconnect();
+      resolve(true);
+    }
+  });
+  observer.observe(document.documentElement, MUTATIONS);
+  timer = setTimeout(() => {
+    observer.disconnect();
+    resolve(false);
+  }, timeout);
+});
+
+/**
+ * Waits until the page is idle: no DOM mutation and no network resource loaded
+ * during `quietTime`. Only the completed resources are observed (PerformanceObserver): a
+ * request taking longer than `quietTime` does not prevent the page from being idle.
+ * @param {Window} win The window of the page.
+ * @param {number} quietTime The time without activity, in milliseconds.
+ * @param {number} timeout The maximum time to wait, in milliseconds.
+ * @returns {Promise<boolean>} True if the page became idle before the timeout.
+ */
+const waitForIdle = (win, quietTime, timeout) => new Promise((resolve) => {
+  const observers = [];
+  let quietTimer;
+  let timer;
+
+  const finish = (idle) => {
+    clearTimeout(quietTimer);
+    clearTimeout(timer);
+    observers.forEach((observer) => observer.disconnect());
+    resolve(idle);
+  };
+  const onActivity = () => {
+    clearTimeout(quietTimer);
+    quietTimer = setTimeout(() => finish(true), quietTime);
+  };
+
+  const mutations = new win.MutationObserver(onActivity);
+  mutations.observe(win.document.documentElement, MUTATIONS);
+  observers.push(mutations);
+
+  if (win.PerformanceObserver) {
+    const resources = new win.PerformanceObserver(onActivity);
+    resources.observe({ type: 'resource' });
+    observers.push(resources);
+  }
+
+  timer = setTimeout(() => finish(false), timeout);
+  onActivity();
+});
+
+/**
+ * Waits for the page to be loaded, according to the load strategy.
+ * Falls back to the fixed delay if the strategy cannot be applied (e.g. invalid selector).
+ * @param {Window} win The window of the page.
+ * @param {Object} strategy The load strategy (see DEFAULT_LOAD_STRATEGY).
+ * @returns {Promise<boolean>} False if the page did not reach the expected state in time.
+ */
+const waitForPageLoad = async (win, strategy = {}) => {
+  const {
+    type, delay, selector, quietTime, timeout,
+  } = { ...DEFAULT_LOAD_STRATEGY, ...strategy };
+
+  try {
+    if (type === 'selector' && selector) {
+      const found = await waitForSelector(win, selector, timeout);
+      if (!found) {
+        // eslint-disable-next-line no-console
+        console.warn(`No element matching ${selector} after ${timeout}ms`);
+      }
+      return found;
+    }
+    if (type === 'idle') {
+      const idle = await waitForIdle(win, quietTime, timeout);
+      if (!idle) {
+        // eslint-disable-next-line no-console
+        console.warn(`Page still active after ${timeout}ms`);
+      }
+      return idle;
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Cannot apply the ${type} load strategy - waiting ${delay}ms instead`, e);
+  }
+
+  await sleep(delay);
+  return true;
+};
+
+export {
+  DEFAULT_LOAD_STRATEGY,
+  waitForIdle,
+  waitForPageLoad,
+  waitForSelector,
+};
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const formatArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.message;
+  try {
+    return JSON.stringify(arg) ?? `${arg}`;
+  } catch (e) {
+    return `${arg}`;
+  }
+};
+
+/**
+ * Creates the logger of a page, passed to the import.js as `params.logger`: one method per
+ * level (`debug`, `info`, `warn` and `error`, `log` being `info`) collecting the messages of
+ * the page.
+ * @param {string} url The page URL.
+ * @param {Object} options `echo` to also write the messages to the console, with the page URL.
+ * @returns {Object} The logger, with its `entries`: the `level`, the `message` and the `time`.
+ */
+const createPageLogger = (url, { echo = true } = {}) => {
+  const entries = [];
+  const logger = {
+    url,
+    entries,
+    clear: () => {
+      entries.length = 0;
+    },
+  };
+  LOG_LEVELS.forEach((level) => {
+    logger[level] = (...args) => {
+      const message = args.map(formatArg).join(' ');
+      entries.push({ level, message, time: Date.now() });
+      if (echo) {
+        // eslint-disable-next-line no-console
+        console[level](`${url} - ${message}`);
+      }
+    };
+  });
+  logger.log = logger.info;
+  return logger;
+};
+
+/**
+ * Formats the entries of a page logger, one message per line.
+ * @param {Array<Object>} entries The entries.
+ * @returns {string} The log, e.g. `[warn] No hero found`.
+ */
+const formatLog = (entries) => entries
+  .map(({ level, message }) => `[${level}] ${message}`)
+  .join('\n');
+
+export {
+  LOG_LEVELS,
+  createPageLogger,
+  formatLog,
+};
@@ -10,34 +10,149 @@
  * governing permissions and limitations under the License.
  */
 /* global WebImporter */
+import { findRoute } from './routes.js';
+import { getLastModified, getLocalPath, importLocalModule } from './localmodules.js';
+import { parseStack } from './stacktrace.js';
+import { asyncForEach } from './utils.js';
+
+const POLL_INTERVAL = 5000;
+// local files are only checked for changes, not fetched: they can be checked more often
+const LOCAL_POLL_INTERVAL = 500;
 
 const DEFAULT_SUPPORTED_STYLES = [{ name: 'background-image', exclude: /none/g }];
 
+/**
+ * Normalizes the REQUIRED_STYLES entries. An entry is a computed style property name or
+ * an object with:
+ * - `name`: the computed style property
+ * - `exclude`: a regular expression matching the values to ignore
+ * - `selector`: only capture the style on the elements matching this CSS selector
+ * - `pseudo`: capture the style of the `::before` or `::after` pseudo-element
+ * - `output`: `style` (inline style, elements only), `data` (`data-` attribute) or
+ *   `element` (child element standing for the pseudo-element, default for pseudo-elements)
+ * - `attribute`: the name of the `data-` attribute, `data-[pseudo-]<name>` by default
+ */
+function normalizeStyles(styles) {
+  return styles.map((entry) => {
+    const s = typeof entry === 'string' ? { name: entry } : { ...entry };
+    if (s.pseudo) {
+      s.pseudo = `::${s.pseudo.replace(/^:+/, '')}`;
+    }
+    if (!s.output || (s.pseudo && s.output === 'style')) {
+      s.output = s.pseudo ? 'element' : 'style';
+    }
+    if (s.output === 'data' && !s.attribute) {
+      s.attribute = `data-${s.pseudo ? `${s.pseudo.substring(2)}-` : ''}${s.name}`;
+    }
+    return s;
+  });
+}
+
+// text of a computed pseudo-element content, null if it is not a string (e.g. url() or counter())
+function getContentText(content) {
+  const match = /^"(.*)"$/s.exec(content || '');
+  return match ? match[1].replace(/\\(.)/gs, '$1') : null;
+}
+
 function deepCloneWithStyles(document, styles = DEFAULT_SUPPORTED_STYLES) {
   const clone = document.cloneNode(true);
+  const entries = normalizeStyles(styles);
 
-  const applyStyles = (nodeSrc, nodeDest) => {
-    const style = window.getComputedStyle(nodeSrc, null);
+  // elements matching the selector of each scoped entry
+  const scopes = new Map();
+  entries.filter((s) => s.selector).forEach((s) => {
+    try {
+      scopes.set(s, new Set(document.querySelectorAll(s.selector)));
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error(`Invalid selector in REQUIRED_STYLES: ${s.selector}`, e);
+      scopes.set(s, new Set());
+    }
+  });
+
+  const captureStyles = (nodeSrc, nodeDest) => {
+    const nodeEntries = entries.filter((s) => !s.selector || scopes.get(s).has(nodeSrc));
+    if (nodeEntries.length === 0) return;
+
+    const computed = {};
+    const getStyle = (pseudo = null) => {
+      if (!computed[pseudo]) {
+        computed[pseudo] = window.getComputedStyle(nodeSrc, pseudo);
+      }
+      return computed[pseudo];
+    };
+
+    // child elements standing for the pseudo-elements
+    const pseudoElements = {};
+    const getPseudoElement = (pseudo, content) => {
+      if (!pseudoElements[pseudo]) {
+        const el = nodeDest.ownerDocument.createElement('span');
+        el.setAttribute('data-pseudo', pseudo.substring(2));
+        const text = getContentText(content);
+        if (text) {
+          el.textContent = text;
+        }
+        if (pseudo === '::before') {
+          nodeDest.prepend(el);
+        } else {
+          nodeDest.append(el);
+        }
+        pseudoElements[pseudo] = el;
+      }
+      return pseudoElements[pseudo];
+    };
+
+    nodeEntries.forEach((s) => {
+      const style = getStyle(s.pseudo);
+      if (s.pseudo && (!style.content || style.content === 'none' || style.content === 'normal')) {
+        // no pseudo-element
+        return;
+      }
+      let value = style[s.name] || style.getPropertyValue(s.name);
+      if (!value || (s.exclude && value.match(s.exclude))) return;
 
-    styles.forEach((s) => {
-      if (style[s.name]) {
-        if (!s.exclude || !(style[s.name].match(s.exclude))) {
-          nodeDest.style[s.name] = style[s.name];
+      if (s.name === 'content') {
+        value = getContentText(value) ?? value;
+      }
+      if (s.output === 'data') {
+        nodeDest.setAttribute(s.attribute, value);
+      } else if (s.output === 'element') {
+        const el = getPseudoElement(s.pseudo, style.content);
+        if (s.name !== 'content') {
+          el.style[s.name] = value;
         }
+      } else {
+        nodeDest.style[s.name] = value;
       }
     });
+  };
 
-    if (nodeSrc.children && nodeSrc.children.length > 0) {
-      const destChildren = [...nodeDest.children];
-      [...nodeSrc.children].forEach((child, i) => {
-        applyStyles(child, destChildren[i]);
-      });
-    }
+  const applyStyles = (nodeSrc, nodeDest) => {
+    // children are listed before the pseudo-elements are added to the clone
+    const srcChildren = [...(nodeSrc.children || [])];
+    const destChildren = [...(nodeDest.children || [])];
+
+    captureStyles(nodeSrc, nodeDest);
+
+    srcChildren.forEach((child, i) => {
+      applyStyles(child, destChildren[i]);
+    });
   };
   applyStyles(document.body, clone.body);
   return clone;
 }
 
+/**
+ * Calls the listeners of an event and waits for them: the page is only done once its files
+ * are saved and reported.
+ * @param {Array<Function>} listeners The listeners, possibly async.
+ * @param {Object} event The event.
+ * @returns {Promise} Resolves once all the listeners settled, their errors are ignored.
+ */
+const notifyListeners = (listeners, event) => Promise.allSettled(
+  listeners.map(async (listener) => listener(event)),
+);
+
 export default class PollImporter {
   constructor(cfg) {
     this.config = {
@@ -48,63 +163,168 @@ export default class PollImporter {
     this.poll = this.config.poll;
     this.listeners = [];
     this.errorListeners = [];
+    this.reloadListeners = [];
     this.transformation = {};
-    this.projectTransform = null;
-    this.projectTransformFileURL = '';
+    // transformation modules by file URL: { transform, body, fileURL, version }
+    this.modules = {};
+    // local folder of the transformation files, see setLocalFolder
+    this.localFolder = this.config.localFolder || null;
+    this.routes = this.config.routes || [];
+    this.activeFile = this.config.importFileURL;
     this.running = false;
 
-    this.#init();
+    // resolves once the transformation file has been loaded for the first time
+    this.ready = this.#init();
+  }
+
+  // the transformation module used for the current page
+  get projectTransform() {
+    return this.modules[this.activeFile]?.transform || null;
+  }
+
+  get projectTransformFileURL() {
+    return this.modules[this.activeFile]?.fileURL || '';
+  }
+
+  #notifyReload(file, module) {
+    this.reloadListeners.forEach((listener) => {
+      listener({
+        file,
+        version: module.version,
+        local: !!module.files,
+        lastModified: module.lastModified,
+        error: module.error,
+      });
+    });
   }
 
-  async #loadProjectTransform() {
-    const $this = this;
-    const loadModule = async (projectTransformFileURL) => {
-      const mod = await import(projectTransformFileURL);
-      if (mod.default) {
-        $this.projectTransform = mod.default;
+  async #loadLocalTransform(file, module) {
+    const { localFolder } = this;
+    const baseURL = new URL('./', this.config.importFileURL).href;
+    if (module.files) {
+      const times = await getLastModified(localFolder, Object.keys(module.files));
+      const same = (a, b) => !!b && Object.keys(a).every((path) => a[path] === b[path]);
+      if (same(times, module.files)) {
+        module.pending = null;
+        return false;
       }
-    };
+      // reload once the files are unchanged between 2 checks, not in the middle of a save
+      if (!same(times, module.pending)) {
+        module.pending = times;
+        return false;
+      }
+    }
 
-    const projectTransformFileURL = `${this.config.importFileURL}?cf=${new Date().getTime()}`;
+    const files = {};
+    try {
+      const {
+        namespace, urls, paths,
+      } = await importLocalModule(localFolder, baseURL, file, files);
+      (module.urls || []).forEach((url) => URL.revokeObjectURL(url));
+      module.urls = urls;
+      module.paths = paths;
+      module.transform = namespace.default || null;
+      module.error = null;
+      // eslint-disable-next-line no-console
+      console.log(`Loaded importer file from the local folder ${localFolder.name}: ${file}`);
+    } catch (e) {
+      // keep the previous version until the file is fixed
+      module.error = e.message;
+      // eslint-disable-next-line no-console
+      console.error(`Failed to load importer file from the local folder ${localFolder.name}: ${file}`, e);
+    }
+    module.files = files;
+    module.pending = null;
+    module.fileURL = file;
+    module.lastModified = Math.max(0, ...Object.values(files));
+    if (!module.error) {
+      module.version = (module.version || 0) + 1;
+    }
+    this.#notifyReload(file, module);
+    return !module.error;
+  }
+
+  async #loadProjectTransform(file = this.config.importFileURL) {
+    const module = this.modules[file] || { transform: null };
+    this.modules[file] = module;
+
+    if (this.localFolder && getLocalPath(new URL('./', this.config.importFileURL).href, file) !== null) {
+      return this.#loadLocalTransform(file, module);
+    }
+    // the files outside of the local folder are still fetched at the server poll interval
+    if (this.localFolder && Date.now() - (module.fetchedAt || 0) < POLL_INTERVAL) {
+      return false;
+    }
+    module.fetchedAt = Date.now();
+
+    const projectTransformFileURL = `${file}?cf=${new Date().getTime()}`;
     let body = '';
     try {
       const res = await fetch(projectTransformFileURL);
       body = await res.text();
 
-      if (res.ok && body !== this.lastProjectTransformFileBody) {
-        this.lastProjectTransformFileBody = body;
-        await loadModule(projectTransformFileURL);
-        this.projectTransformFileURL = projectTransformFileURL;
+      if (res.ok && body !== module.body) {
+        module.body = body;
+        const mod = await import(projectTransformFileURL);
+        if (mod.default) {
+          module.transform = mod.default;
+        }
+        module.fileURL = projectTransformFileURL;
+        module.version = (module.version || 0) + 1;
+        module.lastModified = Date.now();
+        module.error = null;
         // eslint-disable-next-line no-console
         console.log(`Loaded importer file: ${projectTransformFileURL}`);
+        this.#notifyReload(file, module);
         return true;
       }
     } catch (err) {
       // ignore here, we know the file does not exist
     }
-    if (body !== this.lastProjectTransformFileBody) {
+    if (body !== module.body) {
       // eslint-disable-next-line no-console
       console.warn(`Importer file does not exist: ${projectTransformFileURL}`);
-      this.lastProjectTransformFileBody = body;
-      this.projectTransformFileURL = '';
+      module.body = body;
+      module.fileURL = '';
+      module.error = `${file} does not exist`;
+      this.#notifyReload(file, module);
       return true;
     }
     return false;
   }
 
-  async #init() {
-    const $this = this;
-    const poll = async () => {
-      if ($this.running) return;
-      const hasChanged = await $this.#loadProjectTransform();
-      if (hasChanged && $this.transformation.url && $this.transformation.document) {
-        $this.transform();
+  async #pollProjectTransform() {
+    if (this.running || this.polling || this.stopped) return;
+    this.polling = true;
+    try {
+      // reload all the transformation files used so far
+      const files = Object.keys(this.modules);
+      if (files.length === 0) {
+        files.push(this.config.importFileURL);
       }
-    };
+      const changed = await Promise.all(files.map((file) => this.#loadProjectTransform(file)));
+      const hasChanged = changed[files.indexOf(this.activeFile)];
+      if (hasChanged && this.transformation.url && this.transformation.document) {
+        this.transform();
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  #startPolling() {
+    clearInterval(this.projectTransformInterval);
+    if (this.stopped) return;
+    this.projectTransformInterval = setInterval(
+      () => this.#pollProjectTransform(),
+      this.localFolder ? LOCAL_POLL_INTERVAL : POLL_INTERVAL,
+    );
+  }
 
-    await poll();
-    if (!this.projectTransformInterval && this.poll) {
-      this.projectTransformInterval = setInterval(poll, 5000);
+  async #init() {
+    await this.#pollProjectTransform();
+    if (!this.projectTransformInterval && this.poll && !this.stopped) {
+      this.#startPolling();
     }
   }
 
@@ -117,12 +337,11 @@ export default class PollImporter {
           params,
         });
       } catch (err) {
-        this.errorListeners.forEach((listener) => {
-          listener({
-            url,
-            error: err,
-            params,
-          });
+        await notifyListeners(this.errorListeners, {
+          url,
+          error: err,
+          params,
+          stage: 'onLoad',
         });
         return false;
       }
@@ -130,6 +349,88 @@ export default class PollImporter {
     return true;
   }
 
+  async #callHook(name, args, file = this.activeFile) {
+    const hook = this.modules[file]?.transform?.[name];
+    return typeof hook === 'function' ? hook(args) : undefined;
+  }
+
+  /**
+   * Calls the `beforeFetch` hook of the transformation file, if any, before a page is fetched:
+   * the hook can return another URL to fetch instead, or `false` to skip the page.
+   * @param {Object} page The page `url` and `params`.
+   * @returns {Promise<Object>} The `url` to fetch and `skip` if the page must not be imported.
+   * @throws {Error} If the hook fails.
+   */
+  async beforeFetch({ url, params }) {
+    const result = await this.#callHook('beforeFetch', { url, params });
+    if (result === false) {
+      return { url, skip: true };
+    }
+    if (typeof result === 'string' && result) {
+      return { url: new URL(result, url).href };
+    }
+    return { url };
+  }
+
+  /**
+   * Calls the `afterSave` hook of the transformation file, if any, once the files of a page
+   * are saved.
+   * @param {Object} page The page `url` and `params`, the transformation `results`, the saved
+   * `files` and a `saveFile(path, content)` function to save additional files.
+   * @throws {Error} If the hook fails.
+   */
+  async afterSave({
+    url, params, results, files, saveFile,
+  }) {
+    await this.#callHook('afterSave', {
+      url, params, results, files, saveFile,
+    });
+  }
+
+  /**
+   * Calls the `onComplete` hook, if any, of the import file and of the other transformation
+   * files used by the import (routes) at the end of a bulk import.
+   * @param {Object} run The report `rows`, `cancelled` if the import was cancelled,
+   * a `saveFile(path, content)` function to save additional files and the URLs of the
+   * transformation `files` used.
+   * @throws {Error} If hooks fail, once all the hooks are called.
+   */
+  async onComplete({
+    rows, cancelled, saveFile, files = [],
+  }) {
+    const errors = [];
+    await asyncForEach([...new Set([this.config.importFileURL, ...files])], async (file) => {
+      try {
+        if (!this.modules[file]) {
+          await this.#loadProjectTransform(file);
+        }
+        await this.#callHook('onComplete', { rows, cancelled, saveFile }, file);
+      } catch (e) {
+        errors.push(`${this.getSourcePath(file) || file}: ${e.message}`);
+      }
+    });
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+  }
+
+  /**
+   * Returns the page load strategy defined by the transformation file for a page, if any:
+   * `loadStrategy` can be an object or a function (possibly async) receiving the page `url`
+   * and `params`.
+   * @throws {Error} If the load strategy is not an object.
+   */
+  async getLoadStrategy({ url, params }) {
+    let strategy = this.projectTransform?.loadStrategy;
+    if (typeof strategy === 'function') {
+      strategy = await strategy({ url, params });
+    }
+    if (strategy !== undefined && (strategy === null || typeof strategy !== 'object')) {
+      throw new Error(`The loadStrategy of the import.js must be an object or return one, got ${strategy}`);
+    }
+    return strategy;
+  }
+
   async transform() {
     this.running = true;
     const {
@@ -141,6 +442,12 @@ export default class PollImporter {
     try {
       let results;
 
+      // a local file which never loaded must not be replaced by the default transformation
+      const module = this.modules[this.activeFile];
+      if (module?.files && module.error && !module.transform) {
+        throw new Error(`Cannot load the transformation file ${this.activeFile}: ${module.error}`);
+      }
+
       const documentClone = deepCloneWithStyles(document, this.projectTransform?.REQUIRED_STYLES);
 
       if (includeDocx) {
@@ -166,20 +473,17 @@ export default class PollImporter {
         results = Array.isArray(out) ? out : [out];
       }
 
-      this.listeners.forEach((listener) => {
-        listener({
-          results,
-          url,
-          params,
-        });
+      await notifyListeners(this.listeners, {
+        results,
+        url,
+        params,
       });
     } catch (err) {
-      this.errorListeners.forEach((listener) => {
-        listener({
-          url,
-          error: err,
-          params,
-        });
+      await notifyListeners(this.errorListeners, {
+        url,
+        error: err,
+        params,
+        stage: 'transform',
       });
     }
     this.running = false;
@@ -201,9 +505,114 @@ export default class PollImporter {
 
   async setImportFileURL(importFileURL) {
     this.config.importFileURL = importFileURL;
+    this.activeFile = importFileURL;
+    this.modules = {};
     await this.#loadProjectTransform();
   }
 
+  /**
+   * Loads the transformation files from a local folder instead of the server: the folder
+   * of the import file URL, usually `tools/importer`. The files and the modules they import
+   * are watched through their file handles and reloaded as soon as they are saved.
+   * @param {FileSystemDirectoryHandle} dirHandle The local folder, null to load from the server.
+   */
+  async setLocalFolder(dirHandle) {
+    Object.values(this.modules).forEach(
+      (module) => (module.urls || []).forEach((url) => URL.revokeObjectURL(url)),
+    );
+    this.localFolder = dirHandle;
+    this.modules = {};
+    await this.#loadProjectTransform(this.activeFile);
+    if (this.poll) {
+      this.#startPolling();
+    }
+    if (this.transformation.url && this.transformation.document) {
+      await this.transform();
+    }
+  }
+
+  /**
+   * Stops the importer for good: no more polling of the transformation files and no more
+   * notification, also for a transformation still running.
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.projectTransformInterval);
+    this.projectTransformInterval = null;
+    this.listeners = [];
+    this.errorListeners = [];
+    this.reloadListeners = [];
+    this.transformation = {};
+    Object.values(this.modules).forEach(
+      (module) => (module.urls || []).forEach((url) => URL.revokeObjectURL(url)),
+    );
+  }
+
+  addReloadListener(listener) {
+    this.reloadListeners.push(listener);
+  }
+
+  /**
+   * Sets the routes selecting the transformation file of each page (see routes.js).
+   * Relative files are resolved against the import file URL.
+   * @param {Array<Object>} routes The routes.
+   */
+  setRoutes(routes) {
+    this.routes = routes;
+  }
+
+  /**
+   * Selects the transformation file of a page: the file of the first matching route,
+   * the import file otherwise. The file is loaded the first time it is used.
+   * @param {string} url The page URL.
+   * @returns {Promise<string>} The URL of the transformation file.
+   */
+  async selectImportFile(url) {
+    const route = findRoute(this.routes, url);
+    const { importFileURL } = this.config;
+    const file = route ? new URL(route, importFileURL).toString() : importFileURL;
+    if (!this.modules[file]) {
+      await this.#loadProjectTransform(file);
+    }
+    this.activeFile = file;
+    return file;
+  }
+
+  /**
+   * Returns the path of a script in the transformation files folder, from its URL on the server
+   * or its blob URL when loaded from a local folder.
+   * @param {string} url The script URL.
+   * @returns {string} The path relative to the folder, null for the other scripts.
+   */
+  getSourcePath(url) {
+    const local = Object.values(this.modules).find((module) => module.paths?.[url]);
+    if (local) return local.paths[url];
+    try {
+      return getLocalPath(new URL('./', this.config.importFileURL).href, url);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Maps the stack trace of an error to the transformation files.
+   * @param {Error} error The error thrown by the transformation.
+   * @returns {Object} The error `message` and the stack `frames` (see stacktrace.js), with the
+   * `file` path of the frames in the transformation files. The `source` is the first of them,
+   * usually the failing line of the import.js.
+   */
+  mapError(error) {
+    const frames = parseStack(error?.stack).map((frame) => {
+      const file = this.getSourcePath(frame.url);
+      return file === null ? frame : { ...frame, file };
+    });
+    return {
+      message: error?.message || `${error}`,
+      frames,
+      source: frames.find((frame) => frame.file) || null,
+    };
+  }
+
   addListener(listener) {
     this.listeners.push(listener);
   }
@@ -212,3 +621,7 @@ export default class PollImporter {
     this.errorListeners.push(listener);
   }
 }
+
+export {
+  deepCloneWithStyles,
+};
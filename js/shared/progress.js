@@ -0,0 +1,131 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Formats a duration, e.g. "42s", "3m 20s" or "2h 5m".
+ * @param {number} seconds The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${total % 60}s`;
+  }
+  return `${total}s`;
+};
+
+/**
+ * Returns the counter a page status falls into: success, redirect, skipped or error.
+ * @param {string} status The status, as displayed in the import report.
+ * @returns {string} The counter name.
+ */
+const getStatusCategory = (status) => {
+  const s = `${status || ''}`.toLowerCase();
+  if (s.startsWith('success')) return 'success';
+  if (s.startsWith('redirect')) return 'redirect';
+  if (s.startsWith('skipped')) return 'skipped';
+  return 'error';
+};
+
+/**
+ * Tracks the progress of an import run: number of pages done, throughput and
+ * estimated remaining time. The ETA is computed from the rate of the last pages
+ * (rolling window), so that it adapts when the site slows down or speeds up.
+ */
+class ImportProgress {
+  /**
+   * @param {Object} options The `total` number of pages, the number of pages already
+   * `done` (previous run), the `window` size (number of pages) used for the ETA
+   * and the `startTime`.
+   */
+  constructor({
+    total = 0, done = 0, window = 20, startTime = Date.now(),
+  } = {}) {
+    this.total = total;
+    this.done = done;
+    this.processed = 0;
+    this.window = window;
+    this.startTime = startTime;
+    this.samples = [startTime];
+    this.counters = {
+      success: 0, redirect: 0, skipped: 0, error: 0,
+    };
+  }
+
+  /**
+   * Counts a page status without adding it to the throughput, e.g. for pages
+   * imported by a previous run.
+   * @param {string} status The page status.
+   */
+  count(status) {
+    this.counters[getStatusCategory(status)] += 1;
+  }
+
+  /**
+   * Records a page which has just been processed.
+   * @param {string} status The page status.
+   * @param {number} now The current time, in milliseconds.
+   */
+  record(status, now = Date.now()) {
+    this.count(status);
+    this.done += 1;
+    this.processed += 1;
+    this.samples.push(now);
+    if (this.samples.length > this.window + 1) {
+      this.samples.splice(0, this.samples.length - this.window - 1);
+    }
+  }
+
+  /**
+   * @param {number} now The current time, in milliseconds.
+   * @returns {Object} The `percent` done, the number of `pagesPerMinute` since the start,
+   * the `eta` in seconds (null when unknown), the `elapsed` time in seconds and
+   * the status `counters`.
+   */
+  getStats(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.startTime);
+    const percent = this.total > 0 ? Math.min(100, (this.done / this.total) * 100) : 0;
+    const pagesPerMinute = elapsed > 0 ? (this.processed / elapsed) * MINUTE : 0;
+
+    let eta = null;
+    const remaining = Math.max(0, this.total - this.done);
+    const span = now - this.samples[0];
+    if (remaining === 0) {
+      eta = 0;
+    } else if (this.samples.length > 1 && span > 0) {
+      const rate = (this.samples.length - 1) / span;
+      eta = remaining / rate / 1000;
+    }
+
+    return {
+      percent,
+      pagesPerMinute,
+      eta,
+      elapsed: elapsed / 1000,
+      counters: { ...this.counters },
+    };
+  }
+}
+
+export {
+  formatDuration,
+  getStatusCategory,
+};
+
+export default ImportProgress;
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { sleep } from './utils.js';
+
+const DEFAULT_RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Parses a comma or space separated list of HTTP status codes.
+ * @param {string} value The list of status codes, e.g. "429, 502, 503".
+ * @returns {number[]} The status codes, the default retryable ones if none is valid.
+ */
+const parseStatuses = (value) => {
+  const statuses = `${value || ''}`.split(/[\s,]+/)
+    .map((s) => parseInt(s, 10))
+    .filter((s) => !Number.isNaN(s));
+  return statuses.length > 0 ? statuses : DEFAULT_RETRYABLE_STATUSES;
+};
+
+/**
+ * Computes the exponential backoff delay before the next attempt.
+ * @param {number} attempt The attempt which just failed (1 for the first one).
+ * @param {number} delay The delay before the first retry, in milliseconds.
+ * @returns {number} The delay in milliseconds.
+ */
+const getBackoffDelay = (attempt, delay) => delay * (2 ** (attempt - 1));
+
+/**
+ * Fetches a resource, retrying on network errors and on retryable response statuses.
+ * When all attempts fail with a network error, the last error is thrown with
+ * an additional `attempts` property.
+ * @param {string} url The URL to fetch.
+ * @param {Object} options The fetch options.
+ * @param {Object} retryOptions The number of `retries`, the initial `delay` between attempts
+ * (doubled after each attempt), the retryable `statuses`, an `onRetry` callback and
+ * the `fetcher` function used instead of the global fetch.
+ * @returns {Promise<Object>} The last response `res` and the number of `attempts`.
+ */
+const fetchWithRetry = async (url, options = {}, retryOptions = {}, attempt = 1) => {
+  const {
+    retries = 0,
+    delay = 1000,
+    statuses = DEFAULT_RETRYABLE_STATUSES,
+    onRetry,
+    fetcher = fetch,
+  } = retryOptions;
+
+  let res;
+  try {
+    res = await fetcher(url, options);
+    if (attempt > retries || !statuses.includes(res.status)) {
+      return { res, attempts: attempt };
+    }
+  } catch (e) {
+    if (attempt > retries) {
+      e.attempts = attempt;
+      throw e;
+    }
+  }
+
+  const wait = getBackoffDelay(attempt, delay);
+  if (onRetry) {
+    onRetry({
+      url, attempt, status: res?.status, delay: wait,
+    });
+  }
+  await sleep(wait);
+  return fetchWithRetry(url, options, retryOptions, attempt + 1);
+};
+
+export {
+  DEFAULT_RETRYABLE_STATUSES,
+  fetchWithRetry,
+  getBackoffDelay,
+  parseStatuses,
+};
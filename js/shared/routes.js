@@ -0,0 +1,94 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Converts a glob into a regular expression: `**` matches anything, `*` anything but `/`
+ * and `?` one character but `/`.
+ * @param {string} glob The glob.
+ * @returns {RegExp} The regular expression.
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Parses the routes of the transformation files: a JSON array of objects with either
+ * a `glob` (matched against the URL path, or the full URL if it contains `://`) or
+ * a `regex` (tested against the full URL), and the transformation `file`.
+ * @param {string} value The routes, as JSON.
+ * @returns {Array<Object>} The routes, with their `test` function.
+ * @throws {Error} If the routes are invalid.
+ */
+const parseRoutes = (value) => {
+  if (!value || !value.trim()) return [];
+
+  let routes;
+  try {
+    routes = JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid routes: ${e.message}`);
+  }
+  if (!Array.isArray(routes)) {
+    throw new Error('Invalid routes: must be a JSON array of { "glob" or "regex", "file" }');
+  }
+
+  return routes.map((route, i) => {
+    const { glob, regex, file } = route || {};
+    if (!file || (!glob && !regex)) {
+      throw new Error(`Invalid route ${i + 1}: a "file" and a "glob" or a "regex" are required`);
+    }
+    if (regex) {
+      let re;
+      try {
+        re = new RegExp(regex);
+      } catch (e) {
+        throw new Error(`Invalid route ${i + 1}: ${e.message}`);
+      }
+      return { regex, file, test: (url) => re.test(url) };
+    }
+    const re = globToRegExp(glob);
+    const fullURL = glob.includes('://');
+    return {
+      glob,
+      file,
+      test: (url) => re.test(fullURL ? url : new URL(url).pathname),
+    };
+  });
+};
+
+/**
+ * Finds the transformation file of a URL: the file of the first matching route.
+ * @param {Array<Object>} routes The routes (see parseRoutes).
+ * @param {string} url The page URL.
+ * @returns {string} The transformation file, null if no route matches.
+ */
+const findRoute = (routes, url) => routes.find((route) => route.test(url))?.file || null;
+
+export {
+  findRoute,
+  globToRegExp,
+  parseRoutes,
+};
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { sleep } from './utils.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Returns the remote host a request goes to: requests sent through the proxy
+ * carry the remote origin in the `host` search parameter.
+ * @param {string} url The request URL.
+ * @returns {string} The remote host.
+ */
+const getHost = (url) => {
+  const u = new URL(url, window.location.href);
+  const host = u.searchParams.get('host');
+  if (host) {
+    try {
+      return new URL(host).host;
+    } catch (e) {
+      return host;
+    }
+  }
+  return u.host;
+};
+
+/**
+ * Parses the value of a Retry-After header (delay in seconds or HTTP date).
+ * @param {string} value The header value.
+ * @param {number} now The current time, in milliseconds.
+ * @returns {number} The delay to wait, in milliseconds.
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+};
+
+/**
+ * Spaces out the requests sent to the same host: a minimum delay between 2 requests,
+ * a maximum number of requests per minute and the delays requested by the host
+ * via the Retry-After header.
+ */
+class RequestScheduler {
+  constructor({ minDelay = 0, maxPerMinute = 0 } = {}) {
+    this.hosts = {};
+    this.configure({ minDelay, maxPerMinute });
+  }
+
+  configure({ minDelay = 0, maxPerMinute = 0 } = {}) {
+    this.minDelay = Math.max(0, Number(minDelay) || 0);
+    this.maxPerMinute = Math.max(0, Number(maxPerMinute) || 0);
+  }
+
+  #getState(host) {
+    if (!this.hosts[host]) {
+      this.hosts[host] = {
+        last: -Infinity,
+        blockedUntil: 0,
+        history: [],
+      };
+    }
+    return this.hosts[host];
+  }
+
+  /**
+   * Reserves the next request slot for the given host.
+   * @param {string} host The remote host.
+   * @param {number} now The current time, in milliseconds.
+   * @returns {number} The delay to wait before sending the request, in milliseconds.
+   */
+  reserve(host, now = Date.now()) {
+    const state = this.#getState(host);
+    let next = Math.max(now, state.blockedUntil, state.last + this.minDelay);
+    if (this.maxPerMinute > 0 && state.history.length >= this.maxPerMinute) {
+      next = Math.max(next, state.history[state.history.length - this.maxPerMinute] + MINUTE);
+    }
+    state.last = next;
+    state.history.push(next);
+    if (state.history.length > this.maxPerMinute) {
+      state.history.splice(0, state.history.length - this.maxPerMinute);
+    }
+    return next - now;
+  }
+
+  /**
+   * Blocks all requests to the given host for some time.
+   * @param {string} host The remote host.
+   * @param {number} delay The delay in milliseconds.
+   */
+  block(host, delay) {
+    const state = this.#getState(host);
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delay);
+  }
+
+  /**
+   * Waits until a request to the given URL can be sent.
+   * @param {string} url The request URL.
+   */
+  async schedule(url) {
+    const delay = this.reserve(getHost(url));
+    if (delay > 0) {
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Fetches the given URL once the host allows it. A Retry-After header in the response
+   * delays the next requests to the same host.
+   * @param {string} url The request URL.
+   * @param {Object} options The fetch options.
+   * @param {Object} hooks `onSend`, called when the request is sent, after the wait.
+   * @returns {Promise<Response>} The response.
+   */
+  async fetch(url, options, { onSend } = {}) {
+    await this.schedule(url);
+    if (onSend) onSend();
+    const res = await fetch(url, options);
+    const retryAfter = parseRetryAfter(res.headers?.get('retry-after'));
+    if (retryAfter > 0) {
+      // eslint-disable-next-line no-console
+      console.warn(`${getHost(url)} requested to wait ${retryAfter}ms before the next request`);
+      this.block(getHost(url), retryAfter);
+    }
+    return res;
+  }
+}
+
+// one scheduler per tool page, shared by all the requests of the page
+const scheduler = new RequestScheduler();
+
+export {
+  RequestScheduler,
+  getHost,
+  parseRetryAfter,
+};
+
+export default scheduler;
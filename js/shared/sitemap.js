@@ -9,12 +9,16 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import scheduler from './scheduler.js';
+
 async function loadSitemap(sitemapURL, origin, host, config = {}) {
   const url = new URL(sitemapURL, origin);
   if (!url.searchParams.get('host')) {
     url.searchParams.append('host', host);
   }
-  const resp = await fetch(`${origin}${url.pathname}${url.search}`);
+  const resp = await scheduler.fetch(`${origin}${url.pathname}${url.search}`, {
+    headers: config.headers,
+  });
   if (resp.ok) {
     if (config.log) {
       config.log(`Extracting URLs from sitemap: ${sitemapURL}`);
@@ -54,7 +58,7 @@ async function loadSitemap(sitemapURL, origin, host, config = {}) {
 async function loadURLsFromRobots(origin, host, config = {}) {
   let urls = [];
   const url = new URL(`/robots.txt?host=${host}`, origin);
-  const res = await fetch(url.toString());
+  const res = await scheduler.fetch(url.toString(), { headers: config.headers });
   if (res.ok) {
     if (config.log) {
       config.log('Found a robots.txt');
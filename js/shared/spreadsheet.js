@@ -0,0 +1,176 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* global ExcelJS */
+
+const DELIMITERS = ['\t', ',', ';'];
+
+/**
+ * Guesses the delimiter of a CSV / TSV content from its first line.
+ * @param {string} text The CSV content.
+ * @returns {string} The delimiter.
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0];
+  let delimiter = ',';
+  let max = 0;
+  DELIMITERS.forEach((d) => {
+    const count = firstLine.split(d).length - 1;
+    if (count > max) {
+      max = count;
+      delimiter = d;
+    }
+  });
+  return delimiter;
+};
+
+/**
+ * Parses a CSV / TSV content, supporting quoted values (RFC 4180).
+ * @param {string} text The CSV content.
+ * @param {string} delimiter The delimiter, guessed from the content if not provided.
+ * @returns {Array<Array<string>>} The list of rows, empty lines are ignored.
+ */
+const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"' && value === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (c === '\n') {
+      endRow();
+    } else if (c !== '\r') {
+      value += c;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+/**
+ * Reads the first worksheet of an Excel file.
+ * @param {ArrayBuffer} buffer The xlsx file content.
+ * @returns {Promise<Array<Array<string>>>} The list of rows.
+ */
+const parseXLSX = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+  worksheet?.eachRow((r) => {
+    const row = [];
+    r.eachCell({ includeEmpty: true }, (cell, col) => {
+      row[col - 1] = cell.text;
+    });
+    rows.push(Array.from(row, (v) => v || ''));
+  });
+  return rows;
+};
+
+const isURL = (value) => /^https?:\/\//i.test(`${value}`.trim());
+
+const isURLHeader = (value) => `${value}`.trim().toLowerCase() === 'url';
+
+/**
+ * Finds the column containing the URLs: the "URL" column if any, otherwise the first column
+ * whose first value is a URL.
+ * @param {Array<string>} headers The column names.
+ * @param {Array<Array<string>>} rows The data rows.
+ * @returns {number} The column index.
+ */
+const findURLColumn = (headers, rows) => {
+  const index = headers.findIndex(isURLHeader);
+  if (index > -1) return index;
+  const first = rows[0] || [];
+  return Math.max(0, first.findIndex((v) => isURL(v)));
+};
+
+/**
+ * Splits rows into headers and data rows. The first row is only used as headers if one of its
+ * columns is named `URL`: otherwise all the rows are data rows, the URL column (the first one
+ * with a URL) is named `URL` and the other columns are left unnamed.
+ * @param {Array<Array<string>>} rows The rows.
+ * @returns {Object} The table `headers` and `rows`.
+ */
+const toTable = (rows) => {
+  if (rows.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  if (rows[0].some(isURLHeader)) {
+    return {
+      headers: rows[0],
+      rows: rows.slice(1),
+    };
+  }
+  const urlColumn = rows[0].findIndex((v) => isURL(v));
+  return {
+    headers: rows[0].map((v, i) => (i === Math.max(0, urlColumn) ? 'URL' : '')),
+    rows,
+  };
+};
+
+/**
+ * Reads a text, CSV or Excel file as a table (see toTable). Text files contain
+ * one value per line.
+ * @param {File} file The file to read.
+ * @returns {Promise<Object>} The table `headers` and `rows`.
+ */
+const readTable = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  let rows;
+  if (extension === 'xlsx') {
+    rows = await parseXLSX(await file.arrayBuffer());
+  } else if (extension === 'csv' || extension === 'tsv') {
+    rows = parseCSV(await file.text());
+  } else {
+    rows = (await file.text()).split(/\r?\n/)
+      .filter((line) => line.trim() !== '')
+      .map((line) => [line.trim()]);
+  }
+  return toTable(rows);
+};
+
+export {
+  detectDelimiter,
+  findURLColumn,
+  isURL,
+  parseCSV,
+  parseXLSX,
+  readTable,
+  toTable,
+};
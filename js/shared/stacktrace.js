@@ -0,0 +1,49 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// Chrome: "    at fn (url:line:column)" or "    at url:line:column"
+const V8_FRAME_REGEX = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+// Firefox and Safari: "fn@url:line:column"
+const GECKO_FRAME_REGEX = /^\s*(.*?)@(.+?):(\d+):(\d+)$/;
+
+/**
+ * Parses the stack trace of an error.
+ * @param {string} stack The stack trace (`error.stack`).
+ * @returns {Array<Object>} The frames: the function name `fn` (empty if anonymous), the script
+ * `url` and the `line` and `column` numbers (1-based). Lines without location are ignored.
+ */
+const parseStack = (stack) => `${stack || ''}`.split('\n')
+  .map((text) => text.match(V8_FRAME_REGEX) || text.match(GECKO_FRAME_REGEX))
+  .filter((match) => match)
+  .map(([, fn, url, line, column]) => ({
+    fn: (fn || '').replace(/^async /, ''),
+    url,
+    line: Number(line),
+    column: Number(column),
+  }));
+
+/**
+ * Formats a stack frame on one line.
+ * @param {Object} frame The frame, its `file` is displayed instead of its `url` if set.
+ * @returns {string} The frame, e.g. `at transform (import.js:12:5)`.
+ */
+const formatFrame = ({
+  fn, url, file, line, column,
+}) => {
+  const location = `${file || url}:${line}:${column}`;
+  return fn ? `at ${fn} (${location})` : `at ${location}`;
+};
+
+export {
+  formatFrame,
+  parseStack,
+};
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/*
+ * Minimal key / value store on top of IndexedDB: unlike the localStorage, it can hold large
+ * structured values (including file system handles) and survives a browser crash.
+ */
+
+const DB_NAME = 'helix-importer-ui';
+const DB_VERSION = 1;
+const STORE_NAME = 'state';
+
+let db = null;
+
+function openDB() {
+  if (!db) {
+    db = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE_NAME);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        db = null;
+        reject(req.error);
+      };
+    });
+  }
+  return db;
+}
+
+async function execute(mode, operation) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, mode);
+    const req = operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function getItem(key) {
+  return execute('readonly', (store) => store.get(key));
+}
+
+async function setItem(key, value) {
+  return execute('readwrite', (store) => store.put(value, key));
+}
+
+async function removeItem(key) {
+  return execute('readwrite', (store) => store.delete(key));
+}
+
+export {
+  getItem,
+  setItem,
+  removeItem,
+};
@@ -5,7 +5,13 @@ async function asyncForEach(array, callback) {
   }
 }
 
+const sleep = (ms) => new Promise(
+  (resolve) => {
+    setTimeout(resolve, ms);
+  },
+);
+
 export {
-  // eslint-disable-next-line import/prefer-default-export
   asyncForEach,
+  sleep,
 };
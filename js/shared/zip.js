@@ -0,0 +1,328 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-bitwise */
+const CRC_TABLE = Array.from({ length: 256 }, (v, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return c;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+/* eslint-enable no-bitwise */
+
+const toBytes = async (content) => {
+  if (typeof content === 'string') {
+    return new TextEncoder().encode(content);
+  }
+  if (content instanceof Blob) {
+    return new Uint8Array(await content.arrayBuffer());
+  }
+  if (ArrayBuffer.isView(content)) {
+    return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+  }
+  return new Uint8Array(content);
+};
+
+// above these values, the sizes, offsets and counts are stored in ZIP64 records
+const MAX_32 = 0xFFFFFFFF;
+const MAX_16 = 0xFFFF;
+// an archive kept in memory fails beyond this size, instead of exhausting the memory
+const MAX_MEMORY_SIZE = 2 * 1024 * 1024 * 1024;
+
+const setUint64 = (view, offset, value) => {
+  view.setUint32(offset, value % (MAX_32 + 1), true);
+  view.setUint32(offset + 4, Math.floor(value / (MAX_32 + 1)), true);
+};
+
+/**
+ * Creates the local file header of an entry.
+ * @param {Object} entry The entry: encoded `name`, `time`, `date`, `crc` and `size`.
+ * @returns {Uint8Array} The header, followed by the name.
+ */
+const createLocalHeader = (entry) => {
+  const zip64 = entry.size >= MAX_32;
+  const header = new DataView(new ArrayBuffer(30 + entry.name.length + (zip64 ? 20 : 0)));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, zip64 ? 45 : 20, true); // version needed
+  header.setUint16(6, 0x0800, true); // utf-8 file names
+  header.setUint16(8, 0, true); // no compression
+  header.setUint16(10, entry.time, true);
+  header.setUint16(12, entry.date, true);
+  header.setUint32(14, entry.crc, true);
+  header.setUint32(18, zip64 ? MAX_32 : entry.size, true);
+  header.setUint32(22, zip64 ? MAX_32 : entry.size, true);
+  header.setUint16(26, entry.name.length, true);
+  header.setUint16(28, zip64 ? 20 : 0, true);
+  const bytes = new Uint8Array(header.buffer);
+  bytes.set(entry.name, 30);
+  if (zip64) {
+    const extra = 30 + entry.name.length;
+    header.setUint16(extra, 0x0001, true);
+    header.setUint16(extra + 2, 16, true);
+    setUint64(header, extra + 4, entry.size);
+    setUint64(header, extra + 12, entry.size);
+  }
+  return bytes;
+};
+
+/**
+ * Creates the central directory header of an entry.
+ * @param {Object} entry The entry (see createLocalHeader) and the `offset` of its local header.
+ * @returns {Uint8Array} The header, followed by the name.
+ */
+const createCentralHeader = (entry) => {
+  // ZIP64 extra field: the values which do not fit in 32 bits, in this order
+  const extras = [entry.size, entry.size, entry.offset].filter((value, i) => (i < 2
+    ? entry.size >= MAX_32
+    : entry.offset >= MAX_32));
+  const extraSize = extras.length > 0 ? 4 + extras.length * 8 : 0;
+  const header = new DataView(new ArrayBuffer(46 + entry.name.length + extraSize));
+  header.setUint32(0, 0x02014b50, true);
+  header.setUint16(4, extras.length > 0 ? 45 : 20, true); // version made by
+  header.setUint16(6, extras.length > 0 ? 45 : 20, true); // version needed
+  header.setUint16(8, 0x0800, true);
+  header.setUint16(10, 0, true);
+  header.setUint16(12, entry.time, true);
+  header.setUint16(14, entry.date, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, Math.min(entry.size, MAX_32), true);
+  header.setUint32(24, Math.min(entry.size, MAX_32), true);
+  header.setUint16(28, entry.name.length, true);
+  header.setUint16(30, extraSize, true);
+  header.setUint32(42, Math.min(entry.offset, MAX_32), true);
+  const bytes = new Uint8Array(header.buffer);
+  bytes.set(entry.name, 46);
+  if (extraSize > 0) {
+    const extra = 46 + entry.name.length;
+    header.setUint16(extra, 0x0001, true);
+    header.setUint16(extra + 2, extraSize - 4, true);
+    extras.forEach((value, i) => setUint64(header, extra + 4 + i * 8, value));
+  }
+  return bytes;
+};
+
+/**
+ * Creates the end of central directory record, preceded by the ZIP64 end of central
+ * directory record and locator when the archive exceeds the limits of the ZIP format.
+ * @param {Object} directory The number of entries (`count`), the size of the central
+ * directory (`size`) and its `offset`.
+ * @returns {Uint8Array} The records.
+ */
+const createEndRecords = ({ count, size, offset }) => {
+  const zip64 = count >= MAX_16 || size >= MAX_32 || offset >= MAX_32;
+  const view = new DataView(new ArrayBuffer((zip64 ? 76 : 0) + 22));
+  let end = 0;
+  if (zip64) {
+    view.setUint32(0, 0x06064b50, true);
+    setUint64(view, 4, 44); // size of the remaining record
+    view.setUint16(12, 45, true); // version made by
+    view.setUint16(14, 45, true); // version needed
+    setUint64(view, 24, count);
+    setUint64(view, 32, count);
+    setUint64(view, 40, size);
+    setUint64(view, 48, offset);
+
+    // locator
+    view.setUint32(56, 0x07064b50, true);
+    setUint64(view, 64, offset + size);
+    view.setUint32(72, 1, true); // number of disks
+    end = 76;
+  }
+  view.setUint32(end, 0x06054b50, true);
+  view.setUint16(end + 8, Math.min(count, MAX_16), true);
+  view.setUint16(end + 10, Math.min(count, MAX_16), true);
+  view.setUint32(end + 12, Math.min(size, MAX_32), true);
+  view.setUint32(end + 16, Math.min(offset, MAX_32), true);
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * ZIP archive (no compression, ZIP64 when needed), used as output target instead of a folder.
+ * With a writable stream (e.g. from `showSaveFilePicker`), each file is written to the stream
+ * as soon as it is added, only the central directory is kept in memory: the archive is complete
+ * once closed. Without a stream (File System Access API not available), the files are kept as
+ * blobs until the archive is downloaded, up to 2GB.
+ */
+export default class ZipArchive {
+  /**
+   * @param {string} name The archive file name.
+   * @param {FileSystemWritableFileStream} writable The stream the archive is written to,
+   * null to build the archive in memory.
+   * @param {Object} options The `maxSize` of an archive built in memory.
+   */
+  constructor(name, writable = null, { maxSize = MAX_MEMORY_SIZE } = {}) {
+    this.name = name;
+    this.writable = writable;
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    // bytes written to the stream so far
+    this.offset = 0;
+    // bytes kept in memory so far
+    this.size = 0;
+    // the writes to the stream are sequential, files may be added concurrently
+    this.queue = Promise.resolve();
+    // files being added, the archive is only closed once they are all added
+    this.adding = new Set();
+  }
+
+  #enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async #writeEntry(entry) {
+    const header = createLocalHeader(entry);
+    entry.offset = this.offset;
+    await this.writable.write(header);
+    await this.writable.write(entry.data);
+    this.offset += header.length + entry.size;
+    this.size -= entry.size;
+    entry.data = null;
+  }
+
+  /**
+   * Adds a file to the archive, replacing any previous file with the same path.
+   * When streaming, a file added again (e.g. the import report, saved after each page) is kept
+   * in memory and written when the archive is closed: the replaced content remains unused
+   * in the archive.
+   * @param {string} path The file path in the archive.
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} content The file content.
+   * @throws {Error} If the archive is closed or an archive built in memory gets too large.
+   */
+  async addFile(path, content) {
+    if (this.closed) {
+      throw new Error(`Cannot add ${path}: the archive ${this.name} is closed`);
+    }
+    const added = this.#addFile(path, content);
+    this.adding.add(added);
+    try {
+      await added;
+    } finally {
+      this.adding.delete(added);
+    }
+  }
+
+  async #addFile(path, content) {
+    const bytes = await toBytes(content);
+    const key = path.replace(/^\/+/, '');
+    const previous = this.entries.get(key);
+    const kept = this.size - (previous?.data ? previous.size : 0) + bytes.length;
+    if (!this.writable && kept > this.maxSize) {
+      throw new Error(`The ZIP archive ${this.name} exceeds ${Math.round(this.maxSize / 1024 / 1024)}MB: it cannot be kept in memory, import fewer pages per run`);
+    }
+
+    const { time, date } = toDosDateTime(new Date());
+    const entry = {
+      name: new TextEncoder().encode(key),
+      time,
+      date,
+      crc: crc32(bytes),
+      size: bytes.length,
+      data: new Blob([bytes]),
+    };
+    this.size = kept;
+    this.entries.set(key, entry);
+    if (this.writable && !previous) {
+      await this.#enqueue(() => this.#writeEntry(entry));
+    }
+  }
+
+  /**
+   * Returns a file of the archive, if it is still in memory.
+   * @param {string} path The file path in the archive.
+   * @returns {File} The file, null if the archive does not contain it or if it is written
+   * to the stream already.
+   */
+  getFile(path) {
+    const entry = this.entries.get(path.replace(/^\/+/, ''));
+    return entry?.data ? new File([entry.data], path.split('/').pop()) : null;
+  }
+
+  #getCentralDirectory(offset) {
+    const headers = [...this.entries.values()].map(createCentralHeader);
+    const size = headers.reduce((total, header) => total + header.length, 0);
+    return headers.concat([createEndRecords({ count: this.entries.size, size, offset })]);
+  }
+
+  // no file can be added anymore, the ones being added are part of the archive
+  async #finish() {
+    this.closed = true;
+    await Promise.allSettled([...this.adding]);
+  }
+
+  /**
+   * Writes the files kept in memory and the central directory to the stream and closes it,
+   * once the files being added are written.
+   */
+  async close() {
+    if (!this.writable) {
+      throw new Error(`The archive ${this.name} is built in memory, use toBlob`);
+    }
+    await this.#finish();
+    await this.#enqueue(async () => {
+      const pending = [...this.entries.values()].filter((entry) => entry.data);
+      for (let i = 0; i < pending.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.#writeEntry(pending[i]);
+      }
+      const parts = this.#getCentralDirectory(this.offset);
+      for (let i = 0; i < parts.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.writable.write(parts[i]);
+      }
+      await this.writable.close();
+    });
+  }
+
+  /**
+   * Builds the archive kept in memory, once the files being added are added. No file can be
+   * added afterwards.
+   * @returns {Promise<Blob>} The ZIP file.
+   */
+  async toBlob() {
+    if (this.writable) {
+      throw new Error(`The archive ${this.name} is written to a stream, use close`);
+    }
+    await this.#finish();
+    const parts = [];
+    let offset = 0;
+    this.entries.forEach((entry) => {
+      entry.offset = offset;
+      const header = createLocalHeader(entry);
+      parts.push(header, entry.data);
+      offset += header.length + entry.size;
+    });
+    return new Blob(parts.concat(this.#getCentralDirectory(offset)), { type: 'application/zip' });
+  }
+}
+
+export {
+  createCentralHeader,
+  createEndRecords,
+  createLocalHeader,
+  crc32,
+};
@@ -0,0 +1,339 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { initOptionFields, attachOptionFieldsListeners } from '../shared/fields.js';
+import { getDirectoryHandle, isFileSystemAccessSupported } from '../shared/filesystem.js';
+import { createFrameURL } from '../shared/credentials.js';
+import { diffLines, getHunks, normalizeText } from '../shared/diff.js';
+import { createPageLogger } from '../shared/pagelogger.js';
+import PollImporter from '../shared/pollimporter.js';
+import alert from '../shared/alert.js';
+import { toggleLoadingButton } from '../shared/ui.js';
+
+const PARENT_SELECTOR = '.tests';
+const CONFIG_PARENT_SELECTOR = `${PARENT_SELECTOR} form`;
+
+const RUN_BUTTON = document.getElementById('tests-run-button');
+const RUN_LOCAL_BUTTON = document.getElementById('tests-run-local-button');
+const PROCESS_BUTTONS = [RUN_BUTTON, RUN_LOCAL_BUTTON];
+const PREVIEW_CONTAINER = document.querySelector(`${PARENT_SELECTOR} .page-preview`);
+const CONTENT_FRAME = document.getElementById('tests-content-frame');
+const RESULTS_HEADING = document.querySelector('#tests-result h2');
+const RESULTS_LIST = document.getElementById('tests-result-list');
+const FAILED_ONLY_CHECKBOX = document.getElementById('tests-failed-only');
+
+// list of the test cases of a test cases folder on the server
+const MANIFEST = 'tests.json';
+
+// URL of the test cases without url in their options nor canonical link
+const DEFAULT_BASE_URL = 'https://www.example.com/';
+
+const config = {};
+
+const fetchText = async (url, optional = false) => {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (res.ok) {
+    return res.text();
+  }
+  if (optional && res.status === 404) {
+    return null;
+  }
+  throw new Error(`Cannot load ${url}: ${res.status} ${res.statusText}`);
+};
+
+const parseOptions = (name, json) => {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid options in ${name}.json: ${e.message}`);
+  }
+};
+
+/**
+ * Loads the test cases listed in the tests.json of a folder on the server.
+ * @param {string} folderURL The URL of the test cases folder.
+ * @returns {Promise<Array<Object>>} The test cases: `name`, `html`, expected `md` and `options`.
+ */
+const loadServerTestCases = async (folderURL) => {
+  const base = folderURL.endsWith('/') ? folderURL : `${folderURL}/`;
+  let names;
+  try {
+    names = JSON.parse(await fetchText(`${base}${MANIFEST}`));
+  } catch (e) {
+    throw new Error(`Cannot read the list of test cases ${base}${MANIFEST}: ${e.message}`);
+  }
+  if (!Array.isArray(names)) {
+    throw new Error(`${base}${MANIFEST} must be a JSON array of test case names`);
+  }
+
+  return Promise.all(names.map(async (name) => {
+    const [html, md, options] = await Promise.all([
+      fetchText(`${base}${name}.html`),
+      fetchText(`${base}${name}.md`, true),
+      fetchText(`${base}${name}.json`, true),
+    ]);
+    return {
+      name, html, md, options: parseOptions(name, options),
+    };
+  }));
+};
+
+const listFiles = async (dirHandle, prefix = '') => {
+  const files = {};
+  const entries = dirHandle.values();
+  // eslint-disable-next-line no-await-in-loop
+  for (let entry = await entries.next(); !entry.done; entry = await entries.next()) {
+    const handle = entry.value;
+    if (handle.kind === 'file') {
+      files[`${prefix}${handle.name}`] = handle;
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      Object.assign(files, await listFiles(handle, `${prefix}${handle.name}/`));
+    }
+  }
+  return files;
+};
+
+/**
+ * Loads the test cases of a local folder: each .html file (in the folder or its sub-folders)
+ * with the .md and the optional .json files of the same name.
+ * @param {FileSystemDirectoryHandle} dirHandle The local folder.
+ * @returns {Promise<Array<Object>>} The test cases (see loadServerTestCases).
+ */
+const loadLocalTestCases = async (dirHandle) => {
+  const files = await listFiles(dirHandle);
+  const readText = async (path) => (files[path] ? (await files[path].getFile()).text() : null);
+
+  const names = Object.keys(files)
+    .filter((path) => path.endsWith('.html'))
+    .map((path) => path.substring(0, path.length - 5))
+    .sort();
+  return Promise.all(names.map(async (name) => ({
+    name,
+    html: await readText(`${name}.html`),
+    md: await readText(`${name}.md`),
+    options: parseOptions(name, await readText(`${name}.json`)),
+  })));
+};
+
+const getProxyURL = (url) => {
+  const u = new URL(url);
+  if (!u.searchParams.get('host')) {
+    u.searchParams.append('host', u.origin);
+  }
+  return `${config.origin}${u.pathname}${u.search}`;
+};
+
+// the URL of the page a test case was saved from
+const getOriginalURL = ({ name, html, options }) => {
+  if (options.url) return options.url;
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const canonical = doc.querySelector('link[rel="canonical"]')?.getAttribute('href');
+  return canonical && canonical.startsWith('http') ? canonical : `${DEFAULT_BASE_URL}${name}`;
+};
+
+const loadFrame = (html, url) => new Promise((resolve) => {
+  const src = createFrameURL(html, url);
+  CONTENT_FRAME.addEventListener('load', () => {
+    URL.revokeObjectURL(src);
+    resolve(CONTENT_FRAME.contentDocument);
+  }, { once: true });
+  CONTENT_FRAME.src = src;
+});
+
+// transforms a document, resolves with the results of the importer listener
+const transform = (importer, input) => new Promise((resolve, reject) => {
+  config.pending = { resolve, reject };
+  (async () => {
+    if (await importer.onLoad(input)) {
+      importer.setTransformationInput(input);
+      await importer.transform();
+    }
+  })();
+});
+
+const createImporter = async () => {
+  const importer = new PollImporter({
+    origin: config.origin,
+    poll: false,
+    importFileURL: config.fields['tests-import-file-url'],
+  });
+  importer.addListener(({ results }) => {
+    config.pending?.resolve(results);
+    config.pending = null;
+  });
+  importer.addErrorListener(({ error }) => {
+    config.pending?.reject(error);
+    config.pending = null;
+  });
+  await importer.ready;
+  return importer;
+};
+
+/**
+ * Runs a test case: transforms its HTML with the current import.js and compares
+ * the Markdown of the first result with the expected one.
+ * @returns {Promise<Object>} The `status` (passed, failed or error), the `diff` or the `error`.
+ */
+const runTestCase = async (importer, testCase) => {
+  if (testCase.md === null) {
+    return { status: 'error', error: `No expected Markdown: ${testCase.name}.md is missing` };
+  }
+  try {
+    const originalURL = getOriginalURL(testCase);
+    const url = getProxyURL(originalURL);
+    const params = {
+      ...testCase.options.params,
+      originalURL,
+      logger: createPageLogger(originalURL),
+    };
+    await importer.selectImportFile(originalURL);
+
+    const document = await loadFrame(testCase.html, url);
+    const results = await transform(importer, { url, document, params });
+
+    const expected = normalizeText(testCase.md);
+    const actual = normalizeText(results[0]?.md);
+    return {
+      status: expected === actual ? 'passed' : 'failed',
+      diff: diffLines(expected, actual),
+    };
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Test case ${testCase.name} failed`, e);
+    return { status: 'error', error: e.message };
+  }
+};
+
+const renderDiff = (diff) => {
+  const pre = document.createElement('pre');
+  pre.className = 'tests-diff';
+  getHunks(diff).forEach((hunk, i) => {
+    if (i > 0) {
+      const separator = document.createElement('span');
+      separator.className = 'diff-separator';
+      separator.textContent = '...\n';
+      pre.append(separator);
+    }
+    hunk.forEach(({ type, line }) => {
+      const span = document.createElement('span');
+      span.className = `diff-${type}`;
+      const prefix = { added: '+', removed: '-' }[type] || ' ';
+      span.textContent = `${prefix} ${line}\n`;
+      pre.append(span);
+    });
+  });
+  return pre;
+};
+
+const renderTestResult = (name, result) => {
+  const item = document.createElement('div');
+  item.className = 'tests-case';
+  item.dataset.status = result.status;
+
+  const title = document.createElement('h3');
+  const icon = document.createElement(result.status === 'passed' ? 'sp-icon-checkmark-circle' : 'sp-icon-alert');
+  title.append(icon, ` ${name}`);
+  item.append(title);
+
+  if (result.error) {
+    const error = document.createElement('p');
+    error.className = 'tests-error';
+    error.textContent = result.error;
+    item.append(error);
+  } else if (result.status === 'failed') {
+    const legend = document.createElement('p');
+    legend.textContent = '- expected / + actual';
+    item.append(legend, renderDiff(result.diff));
+  }
+  return item;
+};
+
+const applyFailedOnlyFilter = () => {
+  RESULTS_LIST.classList.toggle('failed-only', FAILED_ONLY_CHECKBOX.checked);
+};
+
+const runTests = async (button, loadTestCases) => {
+  PROCESS_BUTTONS.forEach((b) => { b.disabled = true; });
+  toggleLoadingButton(button);
+  RESULTS_LIST.textContent = '';
+  RESULTS_HEADING.textContent = 'Running tests...';
+  FAILED_ONLY_CHECKBOX.classList.add('hidden');
+  PREVIEW_CONTAINER.classList.remove('hidden');
+
+  try {
+    const testCases = await loadTestCases();
+    const importer = await createImporter();
+    const counts = { passed: 0, failed: 0, error: 0 };
+    for (let i = 0; i < testCases.length; i += 1) {
+      const testCase = testCases[i];
+      RESULTS_HEADING.textContent = `Running tests (${i + 1} / ${testCases.length})...`;
+      // eslint-disable-next-line no-await-in-loop
+      const result = await runTestCase(importer, testCase);
+      counts[result.status] += 1;
+      RESULTS_LIST.append(renderTestResult(testCase.name, result));
+    }
+
+    RESULTS_HEADING.textContent = `${testCases.length} test(s): ${counts.passed} passed, ${counts.failed} failed, ${counts.error} error(s)`;
+    FAILED_ONLY_CHECKBOX.classList.remove('hidden');
+    if (counts.failed + counts.error > 0) {
+      alert.error(`${counts.failed + counts.error} test(s) failed`);
+    } else {
+      alert.success(`All ${testCases.length} test(s) passed`);
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Cannot run the tests', e);
+    RESULTS_HEADING.textContent = '';
+    alert.error(e.message);
+  }
+
+  PREVIEW_CONTAINER.classList.add('hidden');
+  PROCESS_BUTTONS.forEach((b) => { b.disabled = false; });
+  toggleLoadingButton(button);
+};
+
+const attachListeners = () => {
+  attachOptionFieldsListeners(config.fields, PARENT_SELECTOR);
+
+  RUN_BUTTON.addEventListener('click', () => runTests(
+    RUN_BUTTON,
+    () => loadServerTestCases(config.fields['tests-fixtures-url']),
+  ));
+
+  RUN_LOCAL_BUTTON.addEventListener('click', async () => {
+    let dirHandle;
+    try {
+      dirHandle = await getDirectoryHandle();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.log('No directory selected');
+      return;
+    }
+    runTests(RUN_LOCAL_BUTTON, () => loadLocalTestCases(dirHandle));
+  });
+
+  FAILED_ONLY_CHECKBOX.addEventListener('change', applyFailedOnlyFilter);
+};
+
+const init = () => {
+  config.origin = window.location.origin;
+  config.fields = initOptionFields(CONFIG_PARENT_SELECTOR);
+
+  if (!isFileSystemAccessSupported()) {
+    RUN_LOCAL_BUTTON.classList.add('hidden');
+  }
+
+  attachListeners();
+};
+
+init();
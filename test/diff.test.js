@@ -0,0 +1,84 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  diffLines,
+  getHunks,
+  normalizeText,
+  toSideBySide,
+} from '../js/shared/diff.js';
+
+const toString = (diff) => diff.map(({ type, line }) => {
+  if (type === 'added') return `+${line}`;
+  if (type === 'removed') return `-${line}`;
+  return ` ${line}`;
+}).join('\n');
+
+describe('diff', () => {
+  it('normalizes the texts', () => {
+    assert.equal(normalizeText('# Title  \r\n\r\nText\n\n'), '# Title\n\nText');
+    assert.equal(normalizeText(undefined), '');
+  });
+
+  it('computes the line diff', () => {
+    assert.equal(toString(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')), ' a\n-b\n c\n+x\n d');
+    assert.equal(toString(diffLines('a', 'a')), ' a');
+    assert.equal(toString(diffLines('a\nb', 'b\na\nb')), '+b\n a\n b');
+
+    const diff = diffLines('a\nb\nc', 'a\nx\nc');
+    assert.deepEqual(diff[1], { type: 'removed', line: 'b', a: 2 });
+    assert.deepEqual(diff[2], { type: 'added', line: 'x', b: 2 });
+    assert.deepEqual(diff[3], {
+      type: 'same', line: 'c', a: 3, b: 3,
+    });
+  });
+
+  it('lists the changed lines without comparing them beyond the maximum size', () => {
+    assert.equal(toString(diffLines('a\nb\nc\nd', 'a\nc\nx\nd', { maxSize: 8 })), ' a\n-b\n-c\n+c\n+x\n d');
+    // large files
+    const a = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+    const b = a.map((line, i) => (i % 2 ? line : `changed ${i}`));
+    const diff = diffLines(a.join('\n'), b.join('\n'));
+    assert.equal(diff.filter(({ type }) => type === 'removed').length, 19999);
+    assert.equal(diff.filter(({ type }) => type === 'added').length, 19999);
+    assert.deepEqual(diff[diff.length - 1], {
+      type: 'same', line: 'line 19999', a: 20000, b: 20000,
+    });
+  });
+
+  it('groups the changes into hunks', () => {
+    const a = Array.from({ length: 20 }, (_, i) => `line ${i}`);
+    const b = [...a];
+    b[2] = 'changed 2';
+    b[4] = 'changed 4';
+    b[15] = 'changed 15';
+    const hunks = getHunks(diffLines(a.join('\n'), b.join('\n')), 2);
+    assert.equal(hunks.length, 2);
+    assert.equal(toString(hunks[0]), ' line 0\n line 1\n-line 2\n+changed 2\n line 3\n-line 4\n+changed 4\n line 5\n line 6');
+    assert.equal(toString(hunks[1]), ' line 13\n line 14\n-line 15\n+changed 15\n line 16\n line 17');
+    assert.deepEqual(getHunks(diffLines('a', 'a')), []);
+  });
+
+  it('aligns the changes side by side', () => {
+    const rows = toSideBySide(diffLines('a\nb\nc\nd', 'a\nx\ny\nd'));
+    const toLines = ({ left, right }) => [left?.line ?? null, right?.line ?? null];
+    assert.deepEqual(rows.map(toLines), [
+      ['a', 'a'],
+      ['b', 'x'],
+      ['c', 'y'],
+      ['d', 'd'],
+    ]);
+    assert.deepEqual(toSideBySide(diffLines('a\nb', 'a')).map(toLines), [['a', 'a'], ['b', null]]);
+  });
+});
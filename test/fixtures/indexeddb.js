@@ -0,0 +1,47 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// in memory IndexedDB: the values are stored as structured clones, like in the browsers
+const createIndexedDB = () => {
+  const data = new Map();
+  const store = {
+    get: (key) => ({ result: structuredClone(data.get(key)) }),
+    put: (value, key) => {
+      data.set(key, structuredClone(value));
+      return { result: key };
+    },
+    delete: (key) => {
+      data.delete(key);
+      return { result: undefined };
+    },
+  };
+  const database = {
+    createObjectStore: () => store,
+    transaction: () => {
+      const tx = { objectStore: () => store };
+      setTimeout(() => tx.oncomplete?.());
+      return tx;
+    },
+  };
+  return {
+    open: () => {
+      const req = { result: database };
+      setTimeout(() => {
+        req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+};
+
+export default createIndexedDB;
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import ImportState from '../js/shared/importstate.js';
+import { getItem } from '../js/shared/storage.js';
+import createIndexedDB from './fixtures/indexeddb.js';
+
+const createRun = () => ({
+  urls: [
+    { url: 'https://www.example.com/', index: 0, params: {} },
+    { url: 'https://www.example.com/about', index: 1, params: { lang: 'en' } },
+  ],
+  rows: [],
+  extraCols: [],
+  options: { 'import-concurrency': '2' },
+  dirHandle: null,
+});
+
+describe('importstate', () => {
+  let { window } = global;
+
+  before(() => {
+    ({ window } = global);
+    global.window = { indexedDB: createIndexedDB() };
+  });
+
+  after(() => {
+    global.window = window;
+  });
+
+  it('saves only the rows added since the previous save', async () => {
+    const state = new ImportState('test-run');
+    const run = createRun();
+    await state.save(run);
+    run.rows.push({ index: 0, url: 'https://www.example.com/', status: 'Success' });
+    run.extraCols.push('title');
+    await state.save(run);
+    // nothing new: nothing written
+    await state.save(run);
+    run.rows.push({ index: 1, url: 'https://www.example.com/about', status: 'Error' });
+    state.save(run);
+    await state.flush();
+
+    assert.deepEqual((await getItem('test-run-rows-1')).rows, run.rows.slice(0, 1));
+    assert.deepEqual((await getItem('test-run-rows-2')).rows, run.rows.slice(1));
+    assert.equal(await getItem('test-run-rows-3'), undefined);
+    assert.deepEqual(await new ImportState('test-run').load(), run);
+
+    await state.clear();
+    assert.equal(await state.load(), null);
+    assert.equal(await getItem('test-run-rows-0'), undefined);
+  });
+
+  it('saves the whole run again once reset, ignoring the previous chunks', async () => {
+    const state = new ImportState('test-run');
+    const run = createRun();
+    run.rows.push({ index: 0, url: 'https://www.example.com/', status: 'Error' });
+    await state.save(run);
+    run.rows.push({ index: 1, url: 'https://www.example.com/about', status: 'Success' });
+    await state.save(run);
+
+    // the first page is imported again
+    run.rows = run.rows.slice(1);
+    state.reset();
+    await state.save(run);
+
+    assert.deepEqual((await state.load()).rows, run.rows);
+    await state.clear();
+  });
+
+  it('rejects a run which cannot be saved', async () => {
+    const state = new ImportState('test-run');
+    const run = createRun();
+    run.rows.push({ index: 0, report: { title: () => 'Home' } });
+    await assert.rejects(state.save(run), { name: 'DataCloneError' });
+    // the next saves are not blocked
+    run.rows = [];
+    state.reset();
+    await state.save(run);
+    assert.deepEqual(await state.load(), run);
+    await state.clear();
+  });
+});
@@ -0,0 +1,75 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  findImports,
+  getLastModified,
+  getLocalPath,
+  rewriteImports,
+} from '../js/shared/localmodules.js';
+
+const SOURCE = `import a from './a.js';
+import { b } from "../lib/b.js";
+import './side-effect.js';
+export * from '/tools/importer/c.js';
+import bare from 'bare';
+const d = await import('./d.js');
+`;
+
+// minimal directory handle over a { path: lastModified } map
+const createDirHandle = (files, prefix = '') => ({
+  name: prefix || 'importer',
+  getDirectoryHandle: async (name) => createDirHandle(files, `${prefix}${name}/`),
+  getFileHandle: async (name) => {
+    const path = `${prefix}${name}`;
+    if (!(path in files)) {
+      const error = new Error(`${path} not found`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return { getFile: async () => ({ lastModified: files[path] }) };
+  },
+});
+
+describe('localmodules', () => {
+  it('finds and rewrites the imports of a module', () => {
+    assert.deepEqual(findImports(SOURCE).map(({ specifier }) => specifier), [
+      './a.js', '../lib/b.js', './side-effect.js', '/tools/importer/c.js', 'bare', './d.js',
+    ]);
+    const { index } = findImports(SOURCE)[0];
+    assert.equal(SOURCE.substring(index, index + 6), './a.js');
+
+    const rewritten = rewriteImports(SOURCE, (specifier) => (specifier.startsWith('./') ? `blob:${specifier}` : null));
+    assert.ok(rewritten.includes('import a from \'blob:./a.js\';'));
+    assert.ok(rewritten.includes('import { b } from "../lib/b.js";'));
+    assert.ok(rewritten.includes('await import(\'blob:./d.js\')'));
+  });
+
+  it('maps the module URLs to the local folder', () => {
+    const base = 'http://localhost:3001/tools/importer/';
+    assert.equal(getLocalPath(base, 'http://localhost:3001/tools/importer/import.js?cf=1'), 'import.js');
+    assert.equal(getLocalPath(base, 'http://localhost:3001/tools/importer/my%20rules/a.js'), 'my rules/a.js');
+    assert.equal(getLocalPath(base, 'http://localhost:3001/tools/lib/b.js'), null);
+    assert.equal(getLocalPath(base, 'http://localhost:3000/tools/importer/import.js'), null);
+  });
+
+  it('reads the last modification times of the local files', async () => {
+    const dirHandle = createDirHandle({ 'import.js': 10, 'rules/a.js': 20 });
+    assert.deepEqual(await getLastModified(dirHandle, ['import.js', 'rules/a.js', 'b.js']), {
+      'import.js': 10,
+      'rules/a.js': 20,
+      'b.js': 0,
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { waitForIdle, waitForPageLoad, waitForSelector } from '../js/shared/pageload.js';
+
+// minimal window: the page "mutates" when mutate() is called
+const createWindow = () => {
+  const observers = [];
+  const elements = new Set();
+  class MutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+    }
+
+    observe() {
+      observers.push(this);
+    }
+
+    disconnect() {
+      observers.splice(observers.indexOf(this), 1);
+    }
+  }
+  return {
+    MutationObserver,
+    observers,
+    document: {
+      documentElement: {},
+      querySelector: (selector) => {
+        if (selector.startsWith('!')) throw new Error('invalid selector');
+        return elements.has(selector) ? {} : null;
+      },
+    },
+    mutate: (selector) => {
+      if (selector) elements.add(selector);
+      [...observers].forEach((observer) => observer.callback([]));
+    },
+  };
+};
+
+describe('pageload', () => {
+  it('waits for a selector', async () => {
+    const win = createWindow();
+    const promise = waitForSelector(win, '.main', 1000);
+    win.mutate('.other');
+    setTimeout(() => win.mutate('.main'), 10);
+    assert.equal(await promise, true);
+    assert.equal(win.observers.length, 0);
+  });
+
+  it('stops waiting for a selector after the timeout', async () => {
+    const win = createWindow();
+    assert.equal(await waitForSelector(win, '.main', 20), false);
+    assert.equal(win.observers.length, 0);
+  });
+
+  it('waits until the page is idle', async () => {
+    const win = createWindow();
+    const start = Date.now();
+    const promise = waitForIdle(win, 30, 1000);
+    setTimeout(() => win.mutate(), 20);
+    assert.equal(await promise, true);
+    assert.ok(Date.now() - start >= 50);
+    assert.equal(win.observers.length, 0);
+  });
+
+  it('stops waiting for the page to be idle after the timeout', async () => {
+    const win = createWindow();
+    const interval = setInterval(() => win.mutate(), 5);
+    const idle = await waitForIdle(win, 30, 60);
+    clearInterval(interval);
+    assert.equal(idle, false);
+  });
+
+  it('falls back to the fixed delay', async () => {
+    const win = createWindow();
+    const start = Date.now();
+    const { error } = console;
+    const errors = [];
+    // eslint-disable-next-line no-console
+    console.error = (msg) => errors.push(msg);
+    try {
+      assert.equal(await waitForPageLoad(win, { type: 'selector', selector: '!', delay: 20 }), true);
+    } finally {
+      // eslint-disable-next-line no-console
+      console.error = error;
+    }
+    assert.ok(Date.now() - start >= 20);
+    assert.equal(errors.length, 1);
+  });
+});
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { createPageLogger, formatLog } from '../js/shared/pagelogger.js';
+
+describe('pagelogger', () => {
+  it('collects the messages of a page with their level', () => {
+    const logger = createPageLogger('https://www.example.com/page', { echo: false });
+    logger.info('Found', 3, 'cards');
+    logger.log('Hero', { title: 'Welcome' });
+    logger.warn(new Error('No author'));
+    logger.debug(undefined);
+
+    assert.deepEqual(logger.entries.map(({ level, message }) => [level, message]), [
+      ['info', 'Found 3 cards'],
+      ['info', 'Hero {"title":"Welcome"}'],
+      ['warn', 'No author'],
+      ['debug', 'undefined'],
+    ]);
+    assert.equal(formatLog(logger.entries.slice(1, 3)), '[info] Hero {"title":"Welcome"}\n[warn] No author');
+
+    logger.clear();
+    assert.deepEqual(logger.entries, []);
+  });
+
+  it('writes the messages to the console with the page URL', () => {
+    /* eslint-disable no-console */
+    const { error } = console;
+    const messages = [];
+    console.error = (message) => messages.push(message);
+    try {
+      createPageLogger('https://www.example.com/page').error('Missing image');
+    } finally {
+      console.error = error;
+    }
+    /* eslint-enable no-console */
+    assert.deepEqual(messages, ['https://www.example.com/page - Missing image']);
+  });
+});
@@ -0,0 +1,161 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import PollImporter, { deepCloneWithStyles } from '../js/shared/pollimporter.js';
+
+// minimal DOM: each element has its computed styles by pseudo-element ('' for the element)
+const ownerDocument = {
+  // eslint-disable-next-line no-use-before-define
+  createElement: (tagName) => new Element(tagName),
+};
+
+class Element {
+  constructor(tagName, { className = '', computed = {}, children = [] } = {}) {
+    this.tagName = tagName;
+    this.className = className;
+    this.computed = computed;
+    this.children = children;
+    this.attributes = {};
+    this.style = {};
+    this.textContent = '';
+    this.ownerDocument = ownerDocument;
+  }
+
+  cloneNode() {
+    return new Element(this.tagName, {
+      className: this.className,
+      children: this.children.map((child) => child.cloneNode()),
+    });
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  prepend(child) {
+    this.children.unshift(child);
+  }
+
+  append(child) {
+    this.children.push(child);
+  }
+
+  all() {
+    return [this, ...this.children.flatMap((child) => child.all())];
+  }
+}
+
+const createDocument = (body) => ({
+  body,
+  cloneNode: () => ({ body: body.cloneNode() }),
+  querySelectorAll: (selector) => body.all().filter((el) => `.${el.className}` === selector),
+});
+
+describe('pollimporter', () => {
+  let calls;
+  let { window } = global;
+
+  beforeEach(() => {
+    calls = 0;
+    ({ window } = global);
+    global.window = {
+      getComputedStyle: (el, pseudo) => {
+        calls += 1;
+        const style = { ...el.computed[pseudo || ''] };
+        style.getPropertyValue = (name) => style[name] || '';
+        return style;
+      },
+    };
+  });
+
+  afterEach(() => {
+    global.window = window;
+  });
+
+  it('inlines the background images by default', () => {
+    const document = createDocument(new Element('body', {
+      children: [
+        new Element('div', { computed: { '': { 'background-image': 'url("a.png")' } } }),
+        new Element('div', { computed: { '': { 'background-image': 'none' } } }),
+      ],
+    }));
+    const clone = deepCloneWithStyles(document);
+    assert.deepEqual(clone.body.children[0].style, { 'background-image': 'url("a.png")' });
+    assert.deepEqual(clone.body.children[1].style, {});
+
+    // property names only
+    const names = deepCloneWithStyles(document, ['background-image']);
+    assert.deepEqual(names.body.children[1].style, { 'background-image': 'none' });
+  });
+
+  it('captures the styles of the elements matching a selector only', () => {
+    const document = createDocument(new Element('body', {
+      children: [
+        new Element('div', { className: 'hero', computed: { '': { color: 'red', 'font-weight': '700' } } }),
+        new Element('div', { className: 'other', computed: { '': { color: 'blue' } } }),
+      ],
+    }));
+    const clone = deepCloneWithStyles(document, [
+      { name: 'color', selector: '.hero' },
+      { name: 'font-weight', selector: '.hero', output: 'data' },
+    ]);
+    assert.deepEqual(clone.body.children[0].style, { color: 'red' });
+    assert.deepEqual(clone.body.children[0].attributes, { 'data-font-weight': '700' });
+    assert.deepEqual(clone.body.children[1].style, {});
+    // getComputedStyle is only called on the matching element
+    assert.equal(calls, 1);
+  });
+
+  it('captures the pseudo-elements', () => {
+    const icon = new Element('a', {
+      className: 'icon',
+      computed: {
+        '': { color: 'red' },
+        '::before': {
+          content: '"\\★"',
+          'background-image': 'url("icon.svg")',
+        },
+        '::after': { content: 'none', color: 'blue' },
+      },
+      children: [new Element('span')],
+    });
+    const document = createDocument(new Element('body', { children: [icon] }));
+    const clone = deepCloneWithStyles(document, [
+      { name: 'background-image', selector: '.icon', pseudo: 'before' },
+      {
+        name: 'content', selector: '.icon', pseudo: '::before', output: 'data',
+      },
+      { name: 'color', selector: '.icon', pseudo: 'after' },
+    ]);
+    const [before, span] = clone.body.children[0].children;
+    assert.equal(clone.body.children[0].children.length, 2);
+    assert.equal(span.tagName, 'span');
+    assert.deepEqual(before.attributes, { 'data-pseudo': 'before' });
+    assert.equal(before.textContent, '★');
+    assert.deepEqual(before.style, { 'background-image': 'url("icon.svg")' });
+    assert.deepEqual(clone.body.children[0].attributes, { 'data-before-content': '★' });
+  });
+
+  it('returns the load strategy of the import.js', async () => {
+    const getLoadStrategy = (loadStrategy) => PollImporter.prototype.getLoadStrategy.call(
+      { projectTransform: { loadStrategy } },
+      { url: 'https://www.example.com/products/1', params: {} },
+    );
+    assert.deepEqual(await getLoadStrategy({ type: 'idle' }), { type: 'idle' });
+    assert.deepEqual(await getLoadStrategy(({ url }) => ({ type: 'selector', selector: url.includes('/products/') ? '.product' : 'main' })), { type: 'selector', selector: '.product' });
+    assert.deepEqual(await getLoadStrategy(async () => ({ type: 'delay', delay: 500 })), { type: 'delay', delay: 500 });
+    assert.equal(await getLoadStrategy(() => undefined), undefined);
+    await assert.rejects(getLoadStrategy(() => 'idle'), /must be an object or return one, got idle/);
+  });
+});
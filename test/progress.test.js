@@ -0,0 +1,73 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import ImportProgress, { formatDuration, getStatusCategory } from '../js/shared/progress.js';
+
+describe('progress', () => {
+  it('formats durations', () => {
+    assert.equal(formatDuration(42.7), '42s');
+    assert.equal(formatDuration(90), '1m 30s');
+    // 59m 50s must not be rounded up to 60m
+    assert.equal(formatDuration(3590), '59m 50s');
+    assert.equal(formatDuration(5399), '1h 29m');
+    assert.equal(formatDuration(7200), '2h 0m');
+  });
+
+  it('categorizes the statuses', () => {
+    assert.equal(getStatusCategory('Success - No file created'), 'success');
+    assert.equal(getStatusCategory('redirect'), 'redirect');
+    assert.equal(getStatusCategory('Error: 404'), 'error');
+    assert.equal(getStatusCategory('Skipped'), 'skipped');
+    assert.equal(getStatusCategory('Invalid path'), 'error');
+  });
+
+  it('computes the throughput and the ETA', () => {
+    const progress = new ImportProgress({ total: 10, startTime: 0 });
+    assert.equal(progress.getStats(1000).eta, null);
+
+    progress.record('Success', 30000);
+    progress.record('Redirect', 60000);
+    const stats = progress.getStats(60000);
+    assert.equal(stats.percent, 20);
+    assert.equal(stats.pagesPerMinute, 2);
+    assert.equal(stats.eta, 240);
+    assert.equal(stats.elapsed, 60);
+    assert.deepEqual(stats.counters, {
+      success: 1, redirect: 1, skipped: 0, error: 0,
+    });
+  });
+
+  it('uses the last pages only for the ETA', () => {
+    const progress = new ImportProgress({ total: 10, window: 2, startTime: 0 });
+    progress.record('Success', 60000);
+    progress.record('Success', 61000);
+    progress.record('Error', 62000);
+    // 2 pages in the last 2 seconds
+    assert.equal(progress.getStats(62000).eta, 7);
+  });
+
+  it('includes the pages of a previous run', () => {
+    const progress = new ImportProgress({ total: 5, done: 4, startTime: 0 });
+    progress.count('Success');
+    progress.count('Error: timeout');
+    progress.count('Skipped: by beforeFetch');
+    progress.record('Success', 1000);
+    const stats = progress.getStats(1000);
+    assert.equal(stats.percent, 100);
+    assert.equal(stats.eta, 0);
+    assert.deepEqual(stats.counters, {
+      success: 2, redirect: 0, skipped: 1, error: 1,
+    });
+  });
+});
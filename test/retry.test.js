@@ -0,0 +1,81 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  DEFAULT_RETRYABLE_STATUSES,
+  fetchWithRetry,
+  getBackoffDelay,
+  parseStatuses,
+} from '../js/shared/retry.js';
+
+describe('retry', () => {
+  const originalFetch = global.fetch;
+
+  const mockFetch = (responses) => {
+    const calls = [];
+    global.fetch = async (url) => {
+      calls.push(url);
+      const next = responses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return { status: next, ok: next < 400 };
+    };
+    return calls;
+  };
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('parses a list of statuses', () => {
+    assert.deepEqual(parseStatuses('429, 503 504'), [429, 503, 504]);
+    assert.deepEqual(parseStatuses(''), DEFAULT_RETRYABLE_STATUSES);
+  });
+
+  it('doubles the delay after each attempt', () => {
+    assert.equal(getBackoffDelay(1, 100), 100);
+    assert.equal(getBackoffDelay(3, 100), 400);
+  });
+
+  it('retries retryable statuses', async () => {
+    const calls = mockFetch([503, 429, 200]);
+    const { res, attempts } = await fetchWithRetry('https://www.example.com', {}, { retries: 3, delay: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(attempts, 3);
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry other statuses', async () => {
+    mockFetch([404, 200]);
+    const { res, attempts } = await fetchWithRetry('https://www.example.com', {}, { retries: 3, delay: 1 });
+    assert.equal(res.status, 404);
+    assert.equal(attempts, 1);
+  });
+
+  it('returns the last response when all attempts fail', async () => {
+    mockFetch([503, 503, 503]);
+    const { res, attempts } = await fetchWithRetry('https://www.example.com', {}, { retries: 2, delay: 1 });
+    assert.equal(res.status, 503);
+    assert.equal(attempts, 3);
+  });
+
+  it('throws the last network error with the number of attempts', async () => {
+    mockFetch([new Error('offline'), new Error('still offline')]);
+    await assert.rejects(
+      fetchWithRetry('https://www.example.com', {}, { retries: 1, delay: 1 }),
+      (e) => e.message === 'still offline' && e.attempts === 2,
+    );
+  });
+});
@@ -0,0 +1,45 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { findRoute, globToRegExp, parseRoutes } from '../js/shared/routes.js';
+
+describe('routes', () => {
+  it('converts globs', () => {
+    assert.ok(globToRegExp('/blog/*').test('/blog/post'));
+    assert.ok(!globToRegExp('/blog/*').test('/blog/2024/post'));
+    assert.ok(globToRegExp('/blog/**').test('/blog/2024/post'));
+    assert.ok(globToRegExp('/p?ge.html').test('/page.html'));
+    assert.ok(!globToRegExp('/page.html').test('/pageshtml'));
+  });
+
+  it('finds the transformation file of a URL', () => {
+    const routes = parseRoutes(JSON.stringify([
+      { glob: '/blog/**', file: 'import-blog.js' },
+      { glob: 'https://shop.example.com/**', file: 'import-shop.js' },
+      { regex: '/products/[0-9]+$', file: 'import-product.js' },
+    ]));
+    assert.equal(findRoute(routes, 'https://www.example.com/blog/2024/post?a=b'), 'import-blog.js');
+    assert.equal(findRoute(routes, 'https://shop.example.com/cart'), 'import-shop.js');
+    assert.equal(findRoute(routes, 'https://www.example.com/products/123'), 'import-product.js');
+    assert.equal(findRoute(routes, 'https://www.example.com/products/abc'), null);
+    assert.deepEqual(parseRoutes(''), []);
+  });
+
+  it('rejects invalid routes', () => {
+    assert.throws(() => parseRoutes('{'), /Invalid routes/);
+    assert.throws(() => parseRoutes('{ "glob": "/blog/**" }'), /must be a JSON array/);
+    assert.throws(() => parseRoutes('[{ "glob": "/blog/**" }]'), /Invalid route 1/);
+    assert.throws(() => parseRoutes('[{ "regex": "(", "file": "a.js" }]'), /Invalid route 1/);
+  });
+});
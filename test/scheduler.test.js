@@ -0,0 +1,74 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { RequestScheduler, parseRetryAfter } from '../js/shared/scheduler.js';
+
+describe('scheduler', () => {
+  it('does not delay requests by default', () => {
+    const scheduler = new RequestScheduler();
+    assert.equal(scheduler.reserve('www.example.com', 1000), 0);
+    assert.equal(scheduler.reserve('www.example.com', 1000), 0);
+  });
+
+  it('spaces out the requests to the same host', () => {
+    const scheduler = new RequestScheduler({ minDelay: 500 });
+    assert.equal(scheduler.reserve('www.example.com', 1000), 0);
+    assert.equal(scheduler.reserve('www.example.com', 1000), 500);
+    assert.equal(scheduler.reserve('www.example.com', 1200), 800);
+    assert.equal(scheduler.reserve('www.example.org', 1200), 0);
+  });
+
+  it('limits the number of requests per minute', () => {
+    const scheduler = new RequestScheduler({ maxPerMinute: 2 });
+    assert.equal(scheduler.reserve('www.example.com', 1000), 0);
+    assert.equal(scheduler.reserve('www.example.com', 2000), 0);
+    assert.equal(scheduler.reserve('www.example.com', 3000), 58000);
+    assert.equal(scheduler.reserve('www.example.com', 3000), 59000);
+  });
+
+  it('notifies when a request is sent, after the wait', async () => {
+    const { window, fetch } = global;
+    const events = [];
+    global.window = { location: { href: 'http://localhost:3001/' } };
+    global.fetch = async (url) => {
+      events.push(`fetch ${url}`);
+      return { headers: { get: () => null } };
+    };
+    try {
+      const scheduler = new RequestScheduler({ minDelay: 20 });
+      const onSend = () => events.push('send');
+      await scheduler.fetch('/a?host=https://www.example.com', {}, { onSend });
+      const start = Date.now();
+      await scheduler.fetch('/b?host=https://www.example.com', {}, {
+        onSend: () => events.push(`send after ${Date.now() - start >= 15 ? 'wait' : 'no wait'}`),
+      });
+    } finally {
+      global.window = window;
+      global.fetch = fetch;
+    }
+    assert.deepEqual(events, [
+      'send',
+      'fetch /a?host=https://www.example.com',
+      'send after wait',
+      'fetch /b?host=https://www.example.com',
+    ]);
+  });
+
+  it('parses the Retry-After header', () => {
+    assert.equal(parseRetryAfter(null), 0);
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 10000);
+    assert.equal(parseRetryAfter('soon'), 0);
+  });
+});
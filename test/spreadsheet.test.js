@@ -0,0 +1,71 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  detectDelimiter,
+  findURLColumn,
+  parseCSV,
+  readTable,
+} from '../js/shared/spreadsheet.js';
+
+const file = (name, content) => ({
+  name,
+  text: async () => content,
+});
+
+describe('spreadsheet', () => {
+  it('detects the delimiter', () => {
+    assert.equal(detectDelimiter('URL,path\na,b'), ',');
+    assert.equal(detectDelimiter('URL;path;title\na;b;c'), ';');
+    assert.equal(detectDelimiter('URL\tpath\na\tb'), '\t');
+  });
+
+  it('parses quoted values', () => {
+    assert.deepEqual(parseCSV('URL,title\r\nhttps://a.com,"Hello, ""World"""\n\nhttps://b.com,"multi\nline"\n'), [
+      ['URL', 'title'],
+      ['https://a.com', 'Hello, "World"'],
+      ['https://b.com', 'multi\nline'],
+    ]);
+  });
+
+  it('finds the URL column', () => {
+    assert.equal(findURLColumn(['status', 'Url'], []), 1);
+    assert.equal(findURLColumn(['a', 'b'], [['x', 'https://a.com']]), 1);
+    assert.equal(findURLColumn(['a', 'b'], [['x', 'y']]), 0);
+  });
+
+  it('reads a text file', async () => {
+    const table = await readTable(file('urls.txt', 'https://a.com\n\n https://b.com \n'));
+    assert.deepEqual(table, {
+      headers: ['URL'],
+      rows: [['https://a.com'], ['https://b.com']],
+    });
+  });
+
+  it('reads a csv file with headers', async () => {
+    const table = await readTable(file('urls.csv', 'path,URL\n/a,https://a.com\n'));
+    assert.deepEqual(table, {
+      headers: ['path', 'URL'],
+      rows: [['/a', 'https://a.com']],
+    });
+  });
+
+  it('reads all the lines of a csv file without URL header as data', async () => {
+    const table = await readTable(file('urls.csv', 'status,bookkeeping\nhttps://a.com,Success\n'));
+    assert.deepEqual(table, {
+      headers: ['URL', ''],
+      rows: [['status', 'bookkeeping'], ['https://a.com', 'Success']],
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { formatFrame, parseStack } from '../js/shared/stacktrace.js';
+
+describe('stacktrace', () => {
+  it('parses the Chrome stack traces', () => {
+    const stack = `TypeError: Cannot read properties of null (reading 'textContent')
+    at createHero (http://localhost:3001/tools/importer/blocks/hero.js:12:30)
+    at async transform (http://localhost:3001/tools/importer/import.js?cf=1700000000:8:5)
+    at blob:http://localhost:3001/4f6c2a1e-8a6b-4c1e-9d2f-0e1b2c3d4e5f:3:1
+    at Array.forEach (<anonymous>)`;
+    assert.deepEqual(parseStack(stack), [
+      {
+        fn: 'createHero', url: 'http://localhost:3001/tools/importer/blocks/hero.js', line: 12, column: 30,
+      },
+      {
+        fn: 'transform', url: 'http://localhost:3001/tools/importer/import.js?cf=1700000000', line: 8, column: 5,
+      },
+      {
+        fn: '', url: 'blob:http://localhost:3001/4f6c2a1e-8a6b-4c1e-9d2f-0e1b2c3d4e5f', line: 3, column: 1,
+      },
+    ]);
+  });
+
+  it('parses the Firefox and Safari stack traces', () => {
+    const stack = `createHero@http://localhost:3001/tools/importer/blocks/hero.js:12:30
+transform@http://localhost:3001/tools/importer/import.js?cf=1:8:5
+@http://localhost:3001/tools/importer/import.js?cf=1:1:1`;
+    assert.deepEqual(parseStack(stack).map(({ fn, line }) => [fn, line]), [
+      ['createHero', 12], ['transform', 8], ['', 1],
+    ]);
+    assert.deepEqual(parseStack(undefined), []);
+  });
+
+  it('formats the frames', () => {
+    assert.equal(formatFrame({
+      fn: 'transform', url: 'http://localhost:3001/tools/importer/import.js?cf=1', file: 'import.js', line: 8, column: 5,
+    }), 'at transform (import.js:8:5)');
+    assert.equal(formatFrame({
+      fn: '', url: 'http://localhost:3001/lib.js', line: 1, column: 2,
+    }), 'at http://localhost:3001/lib.js:1:2');
+  });
+});
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import { getItem, removeItem, setItem } from '../js/shared/storage.js';
+import createIndexedDB from './fixtures/indexeddb.js';
+
+describe('storage', () => {
+  let { window } = global;
+
+  before(() => {
+    ({ window } = global);
+    global.window = { indexedDB: createIndexedDB() };
+  });
+
+  after(() => {
+    global.window = window;
+  });
+
+  it('restores the saved import state', async () => {
+    const state = {
+      urls: [{ url: 'https://www.example.com/', index: 0, params: { lang: 'en' } }],
+      rows: [{
+        index: 0, url: 'https://www.example.com/', status: 'Success', report: { title: 'Home', cards: '3' },
+      }],
+      extraCols: ['title', 'cards'],
+      options: { 'import-concurrency': '2', 'import-save-md': true },
+      dirHandle: null,
+    };
+    await setItem('import-bulk-run', state);
+    state.rows.push({ index: 1, url: 'https://www.example.com/about', status: 'Error' });
+
+    const restored = await getItem('import-bulk-run');
+    assert.equal(restored.rows.length, 1);
+    assert.deepEqual(restored, { ...state, rows: state.rows.slice(0, 1) });
+
+    await removeItem('import-bulk-run');
+    assert.equal(await getItem('import-bulk-run'), undefined);
+  });
+});
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import ZipArchive, {
+  createCentralHeader,
+  createEndRecords,
+  crc32,
+} from '../js/shared/zip.js';
+
+const getUint64 = (view, offset) => view.getUint32(offset, true)
+  + view.getUint32(offset + 4, true) * 2 ** 32;
+
+// reads the files of an archive from its central directory
+const readArchive = async (blob) => {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const end = view.byteLength - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const files = {};
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i += 1) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    files[name] = new TextDecoder().decode(new Uint8Array(buffer, start, size));
+    offset += 46 + nameLength + view.getUint16(offset + 30, true);
+  }
+  return files;
+};
+
+describe('zip', () => {
+  it('computes the crc32', () => {
+    assert.equal(crc32(new TextEncoder().encode('hello')), 0x3610a686);
+  });
+
+  it('builds an archive', async () => {
+    const zip = new ZipArchive('test.zip');
+    await zip.addFile('/docx/a.docx', 'first');
+    await zip.addFile('md/a.md', new TextEncoder().encode('# Hello'));
+    await zip.addFile('docx/a.docx', 'hello');
+
+    const view = new DataView(await (await zip.toBlob()).arrayBuffer());
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(view.getUint32(14, true), 0x3610a686);
+
+    const end = view.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+
+    const file = zip.getFile('md/a.md');
+    assert.equal(await file.text(), '# Hello');
+    assert.equal(zip.getFile('html/a.html'), null);
+    assert.deepEqual(await readArchive(await zip.toBlob()), { 'docx/a.docx': 'hello', 'md/a.md': '# Hello' });
+  });
+
+  it('streams an archive', async () => {
+    const chunks = [];
+    let closed = false;
+    const writable = {
+      write: async (chunk) => {
+        chunks.push(chunk);
+      },
+      close: async () => {
+        closed = true;
+      },
+    };
+    const zip = new ZipArchive('test.zip', writable);
+    await Promise.all([
+      zip.addFile('/md/a.md', '# A'),
+      zip.addFile('/md/b.md', '# B'),
+      zip.addFile('import-report.xlsx', 'first report'),
+    ]);
+    // written as soon as added
+    assert.equal(zip.getFile('md/a.md'), null);
+    await zip.addFile('import-report.xlsx', 'last report');
+    assert.equal(await zip.getFile('import-report.xlsx').text(), 'last report');
+    await zip.close();
+
+    assert.ok(closed);
+    assert.deepEqual(await readArchive(new Blob(chunks)), {
+      'md/a.md': '# A',
+      'md/b.md': '# B',
+      'import-report.xlsx': 'last report',
+    });
+    await assert.rejects(zip.addFile('md/c.md', '# C'), /is closed/);
+  });
+
+  it('closes an archive once the files being added are written', async () => {
+    const chunks = [];
+    const writable = {
+      write: async (chunk) => {
+        await new Promise((resolve) => { setTimeout(resolve, 1); });
+        chunks.push(chunk);
+      },
+      close: async () => {},
+    };
+    const zip = new ZipArchive('test.zip', writable);
+    const added = [
+      zip.addFile('md/a.md', '# A'),
+      zip.addFile('md/b.md', new Blob(['# B'])),
+    ];
+    const closed = zip.close();
+    await assert.rejects(zip.addFile('md/c.md', '# C'), /is closed/);
+    await Promise.all([...added, closed]);
+    assert.deepEqual(await readArchive(new Blob(chunks)), { 'md/a.md': '# A', 'md/b.md': '# B' });
+
+    const memory = new ZipArchive('test.zip');
+    const adding = memory.addFile('md/a.md', new Blob(['# A']));
+    const blob = await memory.toBlob();
+    await adding;
+    assert.deepEqual(await readArchive(blob), { 'md/a.md': '# A' });
+    await assert.rejects(memory.addFile('md/b.md', '# B'), /is closed/);
+  });
+
+  it('limits the size of an archive built in memory', async () => {
+    const zip = new ZipArchive('test.zip', null, { maxSize: 10 });
+    await zip.addFile('a.txt', '12345');
+    // replaced content is not counted
+    await zip.addFile('a.txt', '123456');
+    await assert.rejects(zip.addFile('b.txt', '12345'), /exceeds/);
+  });
+
+  it('uses ZIP64 records beyond the limits of the ZIP format', () => {
+    const name = new TextEncoder().encode('a.pdf');
+    const small = new DataView(createCentralHeader({
+      name, time: 0, date: 0, crc: 0, size: 10, offset: 20,
+    }).buffer);
+    assert.equal(small.getUint16(30, true), 0);
+    assert.equal(small.getUint32(42, true), 20);
+
+    const large = new DataView(createCentralHeader({
+      name, time: 0, date: 0, crc: 0, size: 10, offset: 5 * 2 ** 30,
+    }).buffer);
+    assert.equal(large.getUint16(6, true), 45);
+    assert.equal(large.getUint32(42, true), 0xFFFFFFFF);
+    assert.equal(large.getUint16(30, true), 12);
+    assert.equal(large.getUint16(46 + name.length, true), 0x0001);
+    assert.equal(getUint64(large, 46 + name.length + 4), 5 * 2 ** 30);
+
+    assert.equal(createEndRecords({ count: 2, size: 100, offset: 1000 }).length, 22);
+    const records = createEndRecords({ count: 70000, size: 100, offset: 1000 });
+    const view = new DataView(records.buffer);
+    assert.equal(view.getUint32(0, true), 0x06064b50);
+    assert.equal(getUint64(view, 32), 70000);
+    assert.equal(view.getUint32(56, true), 0x07064b50);
+    assert.equal(getUint64(view, 64), 1100);
+    assert.equal(view.getUint16(76 + 10, true), 0xFFFF);
+  });
+});